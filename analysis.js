@@ -0,0 +1,288 @@
+// Analysis profile: the numbers that decide how a session is interpreted
+//
+// The band weighting, the share a band needs to be dominant and the activeness thresholds live in
+// one profile so they can be calibrated per venue and per headband model. Profiles are JSON files
+// in profiles/ (profiles/default.json is a copy of the built-in profile to start from), picked with
+// ?profile=<name> or window.brainwaveConfig.analysis:
+//
+//   window.brainwaveConfig = { analysis: { profile: 'muse-2', profileBaseUrl: './profiles/' } };
+//
+// A profile file only needs the values it changes, the rest come from the built-in profile.
+// Add ?debug=analysis for a panel that tries other values against the session on the page.
+
+const defaultAnalysisProfile = {
+    id: 'default',
+    // Each band's power is multiplied by its center frequency to this power, evening out the 1/f falloff
+    weightingPower: 0.57,
+    bandCenterHz: { delta: 0.5, theta: 6, alpha: 10, beta: 21, gamma: 30 },
+    // Weighted share a band needs to be dominant, otherwise the session is balanced
+    dominantCutoff: 0.2,
+    activeness: {
+        activeFrom: 2 / 3,    // samples at or above this are active
+        clearFrom: 1 / 3,     // samples from here up to activeFrom are clear, below it meditation
+        dominantShare: 2 / 3  // share of the samples a state needs to be the session's state
+    },
+    // Baseline file sessions are compared with instead of the band weighting (see baseline.js)
+    baselineUrl: null,
+    baselineMode: 'ratio',
+    baselineMinSessions: 5 // sessions a headband needs before its own baseline is used
+};
+
+const defaultAnalysisConfig = {
+    profile: defaultAnalysisProfile.id,
+    profileBaseUrl: './profiles/'
+};
+
+let analysisProfile = defaultAnalysisProfile;
+let analysisProfilePromise = null;
+
+function getAnalysisConfig() {
+    const config = (window.brainwaveConfig && window.brainwaveConfig.analysis) || {};
+    return { ...defaultAnalysisConfig, ...config };
+}
+
+function getAnalysisProfileName() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('profile') || getAnalysisConfig().profile;
+}
+
+function getAnalysisProfile() {
+    return analysisProfile;
+}
+
+// Fill in whatever a profile leaves out from the built-in profile
+function mergeAnalysisProfile(profile) {
+    return {
+        ...defaultAnalysisProfile,
+        ...profile,
+        bandCenterHz: { ...defaultAnalysisProfile.bandCenterHz, ...(profile.bandCenterHz || {}) },
+        activeness: { ...defaultAnalysisProfile.activeness, ...(profile.activeness || {}) }
+    };
+}
+
+// Returns a list of problems with a merged profile (empty if it's fine)
+function validateAnalysisProfile(profile) {
+    const issues = [];
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const checkRange = (field, value, min, max) => {
+        if (!isNumber(value) || value < min || value > max) {
+            issues.push({ field, message: `must be a number in [${min}, ${max}]` });
+        }
+    };
+
+    if (!isNumber(profile.weightingPower)) {
+        issues.push({ field: 'weightingPower', message: 'must be a number' });
+    }
+    checkRange('dominantCutoff', profile.dominantCutoff, 0, 1);
+    BAND_NAMES.forEach(band => {
+        const hz = profile.bandCenterHz[band];
+        if (!isNumber(hz) || hz <= 0) {
+            issues.push({ field: `bandCenterHz.${band}`, message: 'must be a positive number' });
+        }
+    });
+
+    const { activeFrom, clearFrom, dominantShare } = profile.activeness;
+    checkRange('activeness.activeFrom', activeFrom, 0, 1);
+    checkRange('activeness.clearFrom', clearFrom, 0, 1);
+    checkRange('activeness.dominantShare', dominantShare, 0, 1);
+    if (isNumber(activeFrom) && isNumber(clearFrom) && clearFrom > activeFrom) {
+        issues.push({ field: 'activeness.clearFrom', message: 'must not be above activeFrom' });
+    }
+
+    if (profile.baselineUrl !== null && typeof profile.baselineUrl !== 'string') {
+        issues.push({ field: 'baselineUrl', message: 'must be a URL or null' });
+    }
+    if (!BASELINE_MODES.includes(profile.baselineMode)) {
+        issues.push({ field: 'baselineMode', message: `must be one of ${BASELINE_MODES.join(', ')}` });
+    }
+    if (!Number.isInteger(profile.baselineMinSessions) || profile.baselineMinSessions < 1) {
+        issues.push({ field: 'baselineMinSessions', message: 'must be a whole number of at least 1' });
+    }
+    return issues;
+}
+
+async function loadAnalysisProfile(name) {
+    // Names end up in a URL, so keep them to plain file names
+    if (!/^[\w-]+$/.test(name)) {
+        throw new Error(`"${name}" is not a valid analysis profile name`);
+    }
+
+    const url = `${getAnalysisConfig().profileBaseUrl}${name}.json`;
+    const response = await fetchPageFile(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load analysis profile ${url}`);
+    }
+
+    const profile = mergeAnalysisProfile({ id: name, ...(await response.json()) });
+    const issues = validateAnalysisProfile(profile);
+    if (issues.length > 0) {
+        throw new Error(`Analysis profile ${url}: ` + issues.map(issue => `${issue.field} ${issue.message}`).join('; '));
+    }
+    return profile;
+}
+
+// Load the selected profile once, the built-in one needs no request
+function ensureAnalysisProfile() {
+    if (!analysisProfilePromise) {
+        const name = getAnalysisProfileName();
+        const loading = name === defaultAnalysisProfile.id ? Promise.resolve(defaultAnalysisProfile) : loadAnalysisProfile(name);
+        analysisProfilePromise = loading.then(profile => {
+            analysisProfile = profile;
+            return profile;
+        }).catch(error => {
+            analysisProfilePromise = null;
+            throw error;
+        });
+    }
+    return analysisProfilePromise;
+}
+
+// Multiplier for each band's power under a profile
+function getBandWeights(profile) {
+    return Object.fromEntries(BAND_NAMES.map(band =>
+        [band, Math.pow(profile.bandCenterHz[band], profile.weightingPower)]
+    ));
+}
+
+// Debug panel: edit a copy of the profile and see what it does to the displayed session
+
+const analysisDebugFields = [
+    { path: ['weightingPower'], label: () => t('analysis.field.weightingPower'), step: 0.01 },
+    { path: ['dominantCutoff'], label: () => t('analysis.field.dominantCutoff'), step: 0.01 },
+    ...BAND_NAMES.map(band => ({
+        path: ['bandCenterHz', band],
+        label: () => t('analysis.field.bandCenter', { band: t('band.' + band) }),
+        step: 0.5
+    })),
+    { path: ['activeness', 'activeFrom'], label: () => t('analysis.field.activeFrom'), step: 0.01 },
+    { path: ['activeness', 'clearFrom'], label: () => t('analysis.field.clearFrom'), step: 0.01 },
+    { path: ['activeness', 'dominantShare'], label: () => t('analysis.field.dominantShare'), step: 0.01 }
+];
+
+function isAnalysisDebugEnabled() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('debug') === 'analysis';
+}
+
+function getProfileValue(profile, path) {
+    return path.reduce((value, key) => value[key], profile);
+}
+
+// The profile as edited in the panel
+function readAnalysisDebugProfile() {
+    const draft = mergeAnalysisProfile(JSON.parse(JSON.stringify(analysisProfile)));
+    document.querySelectorAll('#analysisDebugFields input').forEach((input, i) => {
+        // Untouched fields keep the exact value rather than the rounded one shown
+        if (input.value === input.dataset.shown) return;
+        const path = analysisDebugFields[i].path;
+        const parent = path.slice(0, -1).reduce((value, key) => value[key], draft);
+        parent[path[path.length - 1]] = input.value === '' ? NaN : Number(input.value);
+    });
+    return draft;
+}
+
+function fillAnalysisDebugFields(profile) {
+    document.querySelectorAll('#analysisDebugFields input').forEach((input, i) => {
+        // Round away the float noise from values like 2/3
+        input.value = Number(getProfileValue(profile, analysisDebugFields[i].path).toFixed(4));
+        input.dataset.shown = input.value;
+    });
+}
+
+function buildAnalysisDebugTable(result, draft) {
+    const describeState = state => state ? t(`analysis.state.${state}`) : t('analysis.none');
+    const current = getBandProminence(result.brainwaves, result.baseline, analysisProfile);
+    const edited = getBandProminence(result.brainwaves, result.baseline, draft);
+
+    const rows = BAND_NAMES.map(band => [t('band.' + band), formatPercent(current[band], 1), formatPercent(edited[band], 1)]);
+    rows.push([
+        t('analysis.pattern'),
+        formatPatternName(getDominantPattern(result.brainwaves, result.mlAnalysis, result.activenessArray, result.baseline, analysisProfile)),
+        formatPatternName(getDominantPattern(result.brainwaves, result.mlAnalysis, result.activenessArray, result.baseline, draft))
+    ]);
+    rows.push([
+        t('analysis.state'),
+        describeState(getActivenessState(result.activenessArray, analysisProfile)),
+        describeState(getActivenessState(result.activenessArray, draft))
+    ]);
+
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+    const head = table.createTHead().insertRow();
+    ['', t('analysis.current'), t('analysis.draft')].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        head.appendChild(cell);
+    });
+    const body = table.createTBody();
+    rows.forEach(([label, ...values]) => {
+        const row = body.insertRow();
+        const heading = document.createElement('th');
+        heading.textContent = label;
+        row.appendChild(heading);
+        values.forEach(value => { row.insertCell().textContent = value; });
+        // Highlight what the edited profile changes
+        if (values[0] !== values[1]) row.className = 'analysis-changed';
+    });
+    return table;
+}
+
+// Compare the loaded profile with the edited one on the displayed session
+function updateAnalysisDebug() {
+    const panel = document.getElementById('analysisDebug');
+    if (!panel || panel.style.display !== 'block') return;
+
+    document.getElementById('analysisDebugTitle').textContent = t('analysis.title', { profile: analysisProfile.id });
+    const output = document.getElementById('analysisDebugResult');
+    output.innerHTML = '';
+
+    const draft = readAnalysisDebugProfile();
+    const issues = validateAnalysisProfile(draft);
+    if (issues.length > 0) {
+        output.textContent = t('analysis.invalid', { issues: issues.map(issue => `${issue.field} ${issue.message}`).join('; ') });
+        return;
+    }
+    if (!currentSessionResult) {
+        output.textContent = t('analysis.noSession');
+        return;
+    }
+    output.appendChild(buildAnalysisDebugTable(currentSessionResult, draft));
+}
+
+function downloadAnalysisProfile() {
+    const draft = readAnalysisDebugProfile();
+    if (validateAnalysisProfile(draft).length > 0) return;
+    downloadFile(`analysis-profile-${draft.id}.json`, JSON.stringify(draft, null, 4) + '\n', 'application/json');
+}
+
+window.addEventListener('load', () => {
+    const panel = document.getElementById('analysisDebug');
+    if (!panel || !isAnalysisDebugEnabled()) return;
+
+    // Labels need the visitor's language and the inputs need the loaded profile. A profile that
+    // fails to load is reported by fetchBrainwaveData, which waits on the same promise.
+    Promise.all([ensureLocale(), ensureAnalysisProfile()]).then(() => {
+        const fields = document.getElementById('analysisDebugFields');
+        analysisDebugFields.forEach(field => {
+            const label = document.createElement('label');
+            const name = document.createElement('span');
+            name.textContent = field.label();
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = field.step;
+            input.addEventListener('input', updateAnalysisDebug);
+            label.append(name, input);
+            fields.appendChild(label);
+        });
+        fillAnalysisDebugFields(analysisProfile);
+
+        document.getElementById('analysisDebugReset').addEventListener('click', () => {
+            fillAnalysisDebugFields(analysisProfile);
+            updateAnalysisDebug();
+        });
+        document.getElementById('analysisDebugDownload').addEventListener('click', downloadAnalysisProfile);
+
+        panel.style.display = 'block';
+        updateAnalysisDebug();
+    }).catch(() => {});
+});
@@ -0,0 +1,141 @@
+// Baselines: what a typical session looks like, per headband and across all headbands
+//
+// A headband with a hot gamma channel makes every session recorded on it look gamma-heavy. With a
+// baseline, each session's band shares are compared with the usual shares on the same headband
+// (or on all headbands, when that one has too few sessions) before the percentage boxes and
+// getDominantPattern see them. The analysis profile names the baseline file in baselineUrl:
+//
+//   { "version": 1,
+//     "population": { "sessions": 120, "mean": { "delta": 0.41, ... }, "sd": { "delta": 0.08, ... } },
+//     "headbands": { "3": { "sessions": 14, "mean": { ... }, "sd": { ... } } } }
+//
+// Means and standard deviations are of the normalizeBrainwaves shares; buildBaselineFile makes a
+// file from past runs. The profile's baselineMode picks how a session is compared:
+//   ratio   each share divided by the baseline mean, renormalized
+//   zscore  each share's z-score against the baseline, turned back into shares with a softmax
+// Either way a session that matches its baseline comes out even, so it reads as balanced.
+
+const BASELINE_MODES = ['ratio', 'zscore'];
+
+let baselineFile = null;
+let baselinePromise = null;
+
+// Mean and standard deviation of each band's share over a set of sessions
+function computeBaseline(brainwavesList) {
+    const sessions = brainwavesList.length;
+    const mean = {};
+    const sd = {};
+    BAND_NAMES.forEach(band => {
+        const values = brainwavesList.map(brainwaves => brainwaves[band]);
+        mean[band] = calculateAverage(values);
+        sd[band] = Math.sqrt(calculateAverage(values.map(value => (value - mean[band]) ** 2)));
+    });
+    return { sessions, mean, sd };
+}
+
+// Returns a list of problems with one baseline entry (empty if it's fine)
+function validateBaselineEntry(field, entry) {
+    if (!entry || typeof entry !== 'object' || !entry.mean || !entry.sd) {
+        return [{ field, message: 'needs a mean and an sd' }];
+    }
+    const issues = [];
+    BAND_NAMES.forEach(band => {
+        if (!(entry.mean[band] > 0)) issues.push({ field: `${field}.mean.${band}`, message: 'must be a positive number' });
+        if (!(entry.sd[band] >= 0)) issues.push({ field: `${field}.sd.${band}`, message: 'must be a number of at least 0' });
+    });
+    if (!Number.isInteger(entry.sessions) || entry.sessions < 1) {
+        issues.push({ field: `${field}.sessions`, message: 'must be a whole number of at least 1' });
+    }
+    return issues;
+}
+
+async function loadBaselineFile(url) {
+    const response = await fetchPageFile(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load baseline ${url}`);
+    }
+
+    const file = await response.json();
+    const issues = [];
+    if (file.population !== undefined) {
+        issues.push(...validateBaselineEntry('population', file.population));
+    }
+    Object.entries(file.headbands || {}).forEach(([headband, entry]) => {
+        issues.push(...validateBaselineEntry(`headbands.${headband}`, entry));
+    });
+    if (issues.length > 0) {
+        throw new Error(`Baseline ${url}: ` + issues.map(issue => `${issue.field} ${issue.message}`).join('; '));
+    }
+    return file;
+}
+
+// Load the baseline the analysis profile names, if any, once
+function ensureBaselines() {
+    if (!baselinePromise) {
+        baselinePromise = ensureAnalysisProfile().then(async (profile) => {
+            baselineFile = profile.baselineUrl ? await loadBaselineFile(profile.baselineUrl) : null;
+            return baselineFile;
+        }).catch(error => {
+            baselinePromise = null;
+            throw error;
+        });
+    }
+    return baselinePromise;
+}
+
+// The baseline to compare a headband's sessions with, or null when there is none
+function getBaselineFor(headband, profile = getAnalysisProfile()) {
+    if (!baselineFile) return null;
+
+    const own = headband !== undefined && headband !== null && baselineFile.headbands
+        ? baselineFile.headbands[String(headband)]
+        : null;
+    if (own && own.sessions >= profile.baselineMinSessions) {
+        return { ...own, source: 'headband', headband };
+    }
+    return baselineFile.population ? { ...baselineFile.population, source: 'population' } : null;
+}
+
+// Band shares relative to a baseline, still adding up to 1
+function getRelativeBrainwaves(brainwaves, baseline, mode = getAnalysisProfile().baselineMode) {
+    const relative = {};
+    BAND_NAMES.forEach(band => {
+        if (mode === 'zscore') {
+            // A band that never varied can't be scored, so it counts as typical
+            const sd = baseline.sd[band];
+            relative[band] = Math.exp(sd > 0 ? (brainwaves[band] - baseline.mean[band]) / sd : 0);
+        } else {
+            relative[band] = brainwaves[band] / baseline.mean[band];
+        }
+    });
+    return normalizeBrainwaves(relative);
+}
+
+// Build a baseline file from past runs and download it, e.g. from the console:
+//   buildBaselineFile([{ headband: 0, run: 1 }, { headband: 0, run: 2 }, { headband: 3, run: 1 }, ...])
+// Runs that fail to load or validate are skipped and logged.
+async function buildBaselineFile(runs) {
+    const byHeadband = {};
+    const everyone = [];
+    for (const { headband, run } of runs) {
+        try {
+            const session = parseSessionPayload(await getDataSource().fetchSession({ headband, run }));
+            const { brainwaves } = prepareSession(session);
+            (byHeadband[headband] = byHeadband[headband] || []).push(brainwaves);
+            everyone.push(brainwaves);
+        } catch (error) {
+            console.warn(`Skipping headband ${headband} run ${run}:`, error);
+        }
+    }
+    if (everyone.length === 0) {
+        throw new Error('None of the runs could be loaded');
+    }
+
+    const file = {
+        version: 1,
+        population: computeBaseline(everyone),
+        headbands: Object.fromEntries(Object.entries(byHeadband).map(([headband, list]) => [headband, computeBaseline(list)]))
+    };
+    downloadFile('baselines.json', JSON.stringify(file, null, 4) + '\n', 'application/json');
+    return file;
+}
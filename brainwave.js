@@ -1,101 +1,5 @@
 // Brainwave data fetching and display functionality with fortune integration
-
-const weighting_power = 0.57;
-const dominant_cutoff = 0.2;
-
-// Multi-sine wave brainwave generation with frequency weighting
-function generateFrequencyWeightedWave(brainwaveType, amplitude, width = 80, height = 60) {
-    const points = [];
-    const centerY = height / 2;
-    const maxAmplitude = height / 3;
-    
-    // Define frequency ranges for each brainwave type (in Hz)
-    const brainwaveSpecs = {
-        delta: { minHz: 0.5, maxHz:   4, centerHz: 2.25, numWaves: 7 },
-        theta: { minHz:   4, maxHz:   8, centerHz:    6, numWaves: 13 },
-        alpha: { minHz:   8, maxHz:  12, centerHz:   10, numWaves: 8 },
-        beta:  { minHz:  12, maxHz:  30, centerHz:   21, numWaves: 10 },
-        gamma: { minHz:  30, maxHz: 100, centerHz:   65, numWaves: 2 }
-    };
-    
-    const spec = brainwaveSpecs[brainwaveType];
-    if (!spec) return `M0,${centerY} L${width},${centerY}`;
-    
-    // Generate frequency components with weighted amplitudes
-    const waveComponents = [];
-    for (let i = 0; i < spec.numWaves; i++) {
-        // Distribute frequencies across the range
-        const freq = spec.minHz + (spec.maxHz - spec.minHz) * ((i + 1) / (spec.numWaves + 2));
-        
-        // Calculate amplitude weight based on distance from center frequency
-        const distanceFromCenter = Math.abs(freq - spec.centerHz);
-        const maxDistance = Math.max(spec.centerHz - spec.minHz, spec.maxHz - spec.centerHz);
-        const weight = 1 - (distanceFromCenter / maxDistance) * 0.3; // 70% falloff at edges
-        
-        // Scale frequency for visualization (quarter second at 256 samples/sec gives us 64 samples)
-        const visualFreq = freq / 20; // Scale down for visual appeal
-        
-        // Use position-based phase offset for consistent, pleasing interference patterns
-        const positionRatio = (i + 1) / (spec.numWaves + 2); // 0 to 1 across the range
-        const phaseOffset = i + positionRatio * Math.PI * 2; // Spread phases across 2π
-        
-        waveComponents.push({
-            freq: visualFreq,
-            amplitude: weight * amplitude,
-            phase: phaseOffset // Position-based phase offset
-        });
-    }
-    console.log(waveComponents)
-
-    // Generate raw wave data first
-    const rawPoints = [];
-    for (let x = 0; x < width; x++) {
-        const t = (x / width) * Math.PI * 8; // Time parameter for quarter second
-        let y = 0;
-
-        // Sum all frequency components
-        waveComponents.forEach(component => {
-            y += Math.sin(t * component.freq + component.phase) * component.amplitude;
-        });
-
-        rawPoints.push(y);
-    }
-
-    // Calculate mean to remove DC bias and ensure centering
-    const mean = rawPoints.reduce((sum, val) => sum + val, 0) / rawPoints.length;
-
-    // Apply scaling, centering, and DC bias removal
-    for (let x = 0; x < width; x++) {
-        let y = centerY - ((rawPoints[x] - mean) * maxAmplitude);
-
-        // Clamp to bounds
-        y = Math.max(1, Math.min(height - 1, y));
-        points.push(`${x},${y}`);
-    }
-
-    return `M${points.join(' L')}`;
-}
-
-function updateWaveVisualization(waveId, brainwaveType, amplitude) {
-    const wavePath = document.querySelector(`#${waveId} .wave-path`);
-    if (!wavePath) return;
-    
-    const path = generateFrequencyWeightedWave(brainwaveType, amplitude);
-    wavePath.setAttribute('d', path);
-}
-
-function updateAllWaveVisualizations(brainwaves) {
-    // Use relative amplitudes based on the max value for better visual contrast
-    let m = Math.max(brainwaves.delta, brainwaves.theta, brainwaves.alpha, brainwaves.beta, brainwaves.gamma);
-    m *= (1.0 - 0.0);
-    
-    // Update each brainwave with realistic frequency patterns
-    updateWaveVisualization('deltaWave', 'delta', 0.0 + brainwaves.delta / m);
-    updateWaveVisualization('thetaWave', 'theta', 0.0 + brainwaves.theta / m);
-    updateWaveVisualization('alphaWave', 'alpha', 0.0 + brainwaves.alpha / m);
-    updateWaveVisualization('betaWave',  'beta',  0.0 + brainwaves.beta  / m);
-    updateWaveVisualization('gammaWave', 'gamma', 0.0 + brainwaves.gamma / m);
-}
+// (the weighting and thresholds used to interpret a session come from the analysis profile)
 
 function encodeId(headband, run) {
     // Apply reversible transformations to obfuscate the values
@@ -154,16 +58,24 @@ function decodeId(encodedId) {
     return null;
 }
 
-function getUrlParams() {
+async function getUrlParams() {
     const params = new URLSearchParams(window.location.search);
 
-    // Check for encoded id first
+    // Check for encoded id first (encrypted token or legacy obfuscated id)
     const id = params.get('id');
     if (id) {
-        const decoded = decodeId(id);
+        const decoded = await decodeAnyId(id);
+        if (decoded && isSessionToken(id)) {
+            // Kept so the URL doesn't get a new token on every visit
+            return { ...decoded, token: id };
+        }
         if (decoded) {
             return decoded;
         }
+        // A token names a real session, so not being able to read it is an error, not a random fortune
+        if (isSessionToken(id)) {
+            throw new SessionTokenError(`Could not verify session token ${id}`);
+        }
     }
 
     // Fall back to old format for backwards compatibility
@@ -177,52 +89,49 @@ function getUrlParams() {
     };
 }
 
-function updateUrlParams(headband, run) {
+// URL params that configure the page rather than identify a session, kept when the id is rewritten
+const persistentParams = ['source', 'compare', 'lang', 'profile', 'debug'];
+
+function replaceUrlId(id) {
     const url = new URL(window.location);
+    const kept = persistentParams.flatMap(name => url.searchParams.getAll(name).map(value => [name, value]));
+
     // Clear all existing params and set encoded id
     url.search = '';
-    url.searchParams.set('id', encodeId(headband, run));
+    url.searchParams.set('id', id);
+    kept.forEach(([name, value]) => url.searchParams.append(name, value));
     window.history.replaceState({}, '', url);
 }
 
+// Returns the id, which names the session in exports and the history. A token the visitor came
+// with is passed in to be kept: a new one would have a fresh IV, so a different id on every visit.
+async function updateUrlParams(headband, run, token = null) {
+    const id = token || await encodeSessionToken(headband, run);
+    replaceUrlId(id);
+    return id;
+}
+
 function updateUrlParamsForRandomFortune(timestamp) {
-    const url = new URL(window.location);
-    // Clear all existing params and set encoded fortune timestamp
-    url.search = '';
-    url.searchParams.set('id', encodeRandomFortuneTimestamp(timestamp));
-    window.history.replaceState({}, '', url);
+    // Set encoded fortune timestamp
+    replaceUrlId(encodeRandomFortuneTimestamp(timestamp));
 }
 
 function getAllFortunes() {
-    // Flatten all fortune arrays into one big array
-    const allFortunes = [];
-    for (const category in fortunes) {
-        allFortunes.push(...fortunes[category]);
-    }
-    return allFortunes;
+    // Every fortune in the catalog, in catalog order
+    return fortuneCatalog.fortunes;
 }
 
 function getRandomFortuneFromTimestamp(timestamp) {
-    const allFortunes = getAllFortunes();
-    return allFortunes[timestamp % allFortunes.length];
+    return getLocalizedFortuneText(pickStableFortune(getAllFortunes(), timestamp));
 }
 
-function formatTimestamp(timestamp) {
-    const date = new Date(timestamp);
-    return date.toLocaleString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
+// Duration in minutes, from the real sample times
+function formatSessionDuration(durationMs) {
+    return formatElapsed(Math.floor(durationMs / 1000), true);
 }
 
-function formatTimestampRange(startTimestamp, numDataPoints, headband) {
-    // Each data point is 2 seconds apart
-    const intervalMs = 2000; // 2 seconds in milliseconds
-    const durationMs = (numDataPoints - 1) * intervalMs;
-
+// Start and length of a session, durationMs from its timeline
+function formatTimestampRange(startTimestamp, durationMs, headband) {
     const startDate = new Date(startTimestamp);
 
     const options = {
@@ -230,21 +139,17 @@ function formatTimestampRange(startTimestamp, numDataPoints, headband) {
         minute: '2-digit'
     };
 
-    const headbandText = headband !== undefined ? `Headband ${headband} ` : '';
-
-    // Calculate duration in minutes
-    const durationMinutes = Math.floor(durationMs / 60000);
-    const durationSeconds = Math.floor((durationMs % 60000) / 1000);
-    const durationText = durationSeconds > 0 ? `${durationMinutes}m ${durationSeconds}s` : `${durationMinutes}m`;
+    const durationText = formatSessionDuration(durationMs);
 
-    const dateStr = startDate.toLocaleString('en-US', {
+    const dateStr = startDate.toLocaleString(getIntlLocale(), {
         year: 'numeric',
         month: 'short',
         day: 'numeric'
     });
-    const startTime = startDate.toLocaleString('en-US', options);
+    const startTime = startDate.toLocaleString(getIntlLocale(), options);
 
-    return `from ${headbandText}on ${dateStr} at ${startTime} (${durationText})`;
+    const range = { headband: headband, date: dateStr, time: startTime, duration: durationText };
+    return headband !== undefined ? t('footer.rangeWithHeadband', range) : t('footer.range', range);
 }
 
 function displayRandomFortune(timestamp) {
@@ -253,11 +158,14 @@ function displayRandomFortune(timestamp) {
 
     // Display just the fortune message
     document.getElementById('fortuneMessage').textContent = fortune;
+    showSessionArc(null);
+    showSessionSummary(null);
+    showMlAnalysis(null);
 
     // Update subtitle to say "randomly" instead of "from brainwave data"
     const fortuneSubtitle = document.querySelector('.fortune-subtitle');
     if (fortuneSubtitle) {
-        fortuneSubtitle.textContent = 'Personalized fortune message generated randomly';
+        fortuneSubtitle.textContent = t('fortune.subtitleRandom');
     }
 
     // Show the example link
@@ -275,7 +183,9 @@ function displayRandomFortune(timestamp) {
     }
 
     // Display timestamp in footer with prefix
-    document.getElementById('timestamp').textContent = 'Fortune generated on ' + formatTimestamp(timestamp);
+    document.getElementById('timestamp').textContent = t('footer.fortuneGenerated', { date: formatTimestamp(timestamp) });
+
+    applyFortuneToOcean(timestamp);
 
     // Hide loading dots and show panel
     document.getElementById('loadingDots').style.display = 'none';
@@ -304,23 +214,6 @@ let brainwaveChart = null;
 let activenessChart = null;
 let lastTooltipIndex = null;
 
-// Helper function to create time labels
-function createTimeLabels(numPoints) {
-    const totalSeconds = (numPoints - 1) * 2;
-    const showMinutes = totalSeconds >= 60;
-
-    return Array.from({ length: numPoints }, (_, i) => {
-        const seconds = i * 2;
-        if (showMinutes) {
-            const minutes = Math.floor(seconds / 60);
-            const remainingSeconds = seconds % 60;
-            return remainingSeconds === 0 ? `${minutes}m` : `${minutes}m ${remainingSeconds}s`;
-        } else {
-            return `${seconds}s`;
-        }
-    });
-}
-
 // Helper function to create common chart options
 function createChartOptions(aspectRatio, legendConfig, tooltipConfig, scalesConfig) {
     return {
@@ -390,10 +283,24 @@ function getOrCreateTooltip(id) {
     return tooltipEl;
 }
 
+// Time of the hovered sample, shown above the values
+const TOOLTIP_TITLE_HTML = '<div class="tooltip-title" style="font-size: 11px; color: rgba(255, 255, 255, 0.6); margin-bottom: 6px; white-space: nowrap;"></div>';
+
+// Tooltip heading for a hovered chart point, from the timeline the chart was built with
+function getTooltipTime(chart, dataPoint) {
+    return chart.timeline ? formatTimelineMoment(chart.timeline, dataPoint.parsed.x) : '';
+}
+
+// Gap markers have no value, so they never show up in a tooltip
+function isTooltipValue(item) {
+    return item.parsed.y !== null && !Number.isNaN(item.parsed.y);
+}
+
 // Helper function to create simple tooltip (single value)
 function createSimpleTooltip(tooltipEl, tooltipModel, dataFormatter) {
     if (!tooltipEl.querySelector('.tooltip-container')) {
         let innerHtml = '<div class="tooltip-container" style="padding: 12px 16px; background: rgba(255, 255, 255, 0.08); border: 1px solid rgba(255, 255, 255, 0.18); border-radius: 12px; backdrop-filter: blur(20px) saturate(1.5); -webkit-backdrop-filter: blur(20px) saturate(1.5); box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4); font-family: cmu, Inter, sans-serif; min-width: 130px;">';
+        innerHtml += TOOLTIP_TITLE_HTML;
         innerHtml += '<div class="tooltip-body" style="position: relative;"></div>';
         innerHtml += '</div>';
         tooltipEl.innerHTML = innerHtml;
@@ -402,6 +309,7 @@ function createSimpleTooltip(tooltipEl, tooltipModel, dataFormatter) {
     const bodyEl = tooltipEl.querySelector('.tooltip-body');
     if (bodyEl && tooltipModel.dataPoints && tooltipModel.dataPoints.length > 0) {
         const data = dataFormatter(tooltipModel.dataPoints[0]);
+        tooltipEl.querySelector('.tooltip-title').textContent = data.title || '';
 
         let itemEl = bodyEl.querySelector(`[data-label="${data.label}"]`);
         if (!itemEl) {
@@ -435,7 +343,7 @@ function positionTooltip(tooltipEl, context) {
     tooltipEl.style.top = position.top + window.scrollY + tooltipModel.caretY - 40 + 'px';
 }
 
-function createActivenessChart(activenessArray) {
+function createActivenessChart(activenessArray, timeline) {
     const ctx = document.getElementById('activenessChart');
     if (!ctx) return;
 
@@ -444,16 +352,13 @@ function createActivenessChart(activenessArray) {
         activenessChart.destroy();
     }
 
-    const numPoints = activenessArray.length;
-    const labels = createTimeLabels(numPoints);
-
     activenessChart = new Chart(ctx, {
         type: 'line',
+        plugins: [qualityShadingPlugin, sessionArcPlugin, playbackCursorPlugin],
         data: {
-            labels: labels,
             datasets: [{
-                label: 'Activeness',
-                data: activenessArray,
+                label: t('activeness.label'),
+                data: toTimelinePoints(activenessArray, timeline),
                 segment: {
                     borderColor: (context) => {
                         // Get the canvas coordinates for this segment
@@ -478,10 +383,10 @@ function createActivenessChart(activenessArray) {
                 pointRadius: 0,
                 pointHoverRadius: 5,
                 pointHoverBackgroundColor: (context) => {
-                    return getGradientColor(activenessArray[context.dataIndex]);
+                    return getGradientColor(context.parsed.y);
                 },
                 pointHoverBorderColor: (context) => {
-                    return getGradientColor(activenessArray[context.dataIndex]);
+                    return getGradientColor(context.parsed.y);
                 },
                 pointHoverBorderWidth: 2,
                 pointHitRadius: 30,
@@ -503,6 +408,7 @@ function createActivenessChart(activenessArray) {
                 legend: { display: false },
                 tooltip: {
                     enabled: false,
+                    filter: isTooltipValue,
                     external: function(context) {
                         // Get or create tooltip element
                         const tooltipEl = getOrCreateTooltip('activeness-tooltip');
@@ -517,10 +423,11 @@ function createActivenessChart(activenessArray) {
                         // Create tooltip content with activeness value
                         createSimpleTooltip(tooltipEl, tooltipModel, (dataPoint) => {
                             const value = dataPoint.parsed.y;
-                            let label = 'Activeness';
+                            let label = t('activeness.label');
                             return {
+                                title: getTooltipTime(context.chart, dataPoint),
                                 label: label,
-                                value: (value * 100).toFixed(0) + '%',
+                                value: formatPercent(value),
                                 color: getGradientColor(value)
                             };
                         });
@@ -531,7 +438,7 @@ function createActivenessChart(activenessArray) {
                 }
             },
             scales: {
-                x: {
+                x: createTimelineScale(timeline, {
                     grid: {
                         color: 'rgba(255, 255, 255, 0.05)',
                         drawBorder: false,
@@ -541,7 +448,7 @@ function createActivenessChart(activenessArray) {
                         maxTicksLimit: 10,
                         display: false
                     }
-                },
+                }),
                 y: {
                     beginAtZero: true,
                     max: 1,
@@ -554,18 +461,11 @@ function createActivenessChart(activenessArray) {
             clip: false
         }
     });
+    activenessChart.timeline = timeline;
 }
 
-function createBrainwaveChart(dataArrays) {
-    const ctx = document.getElementById('brainwaveChart');
-    if (!ctx) return;
-
-    // Destroy existing chart if it exists
-    if (brainwaveChart) {
-        brainwaveChart.destroy();
-    }
-
-    // Normalize the data at each timestep
+// Log-scale the raw band powers at each timestep for charting
+function getLogBrainwaveSeries(dataArrays) {
     const numPoints = dataArrays.alpha.length;
     const normalizedData = {
         delta: [],
@@ -580,11 +480,13 @@ function createBrainwaveChart(dataArrays) {
         const sum = 1.0; // dataArrays.alpha[i] + dataArrays.beta[i] + dataArrays.gamma[i] + dataArrays.delta[i] + dataArrays.theta[i];
 
         if (sum > 0) {
-            normalizedData.alpha.push(Math.log(dataArrays.alpha[i]) / sum);
-            normalizedData.beta.push(Math.log(dataArrays.beta[i]) / sum);
-            normalizedData.gamma.push(Math.log(dataArrays.gamma[i]) / sum);
-            normalizedData.delta.push(Math.log(dataArrays.delta[i]) / sum);
-            normalizedData.theta.push(Math.log(dataArrays.theta[i]) / sum);
+            // Dropouts (zeros) are left as gaps since they can't be log-scaled
+            const logOrGap = (value) => value > 0 ? Math.log(value) / sum : null;
+            normalizedData.alpha.push(logOrGap(dataArrays.alpha[i]));
+            normalizedData.beta.push(logOrGap(dataArrays.beta[i]));
+            normalizedData.gamma.push(logOrGap(dataArrays.gamma[i]));
+            normalizedData.delta.push(logOrGap(dataArrays.delta[i]));
+            normalizedData.theta.push(logOrGap(dataArrays.theta[i]));
         } else {
             normalizedData.alpha.push(0);
             normalizedData.beta.push(0);
@@ -594,20 +496,20 @@ function createBrainwaveChart(dataArrays) {
         }
     }
 
-    // Create time labels based on number of data points (2 seconds apart)
-    const totalSeconds = (numPoints - 1) * 2;
-    const showMinutes = totalSeconds >= 60; // Show minutes if total time is 1 minute or more
+    return normalizedData;
+}
+
+function createBrainwaveChart(dataArrays, timeline) {
+    const ctx = document.getElementById('brainwaveChart');
+    if (!ctx) return;
 
-    const labels = Array.from({ length: numPoints }, (_, i) => {
-        const seconds = i * 2;
-        if (showMinutes) {
-            const minutes = Math.floor(seconds / 60);
-            const remainingSeconds = seconds % 60;
-            return remainingSeconds === 0 ? `${minutes}m` : `${minutes}m ${remainingSeconds}s`;
-        } else {
-            return `${seconds}s`;
-        }
-    });
+    // Destroy existing chart if it exists
+    if (brainwaveChart) {
+        brainwaveChart.destroy();
+    }
+
+    // Normalize the data at each timestep
+    const normalizedData = getLogBrainwaveSeries(dataArrays);
 
     // Define colors matching the existing CSS classes
     const colors = {
@@ -620,12 +522,13 @@ function createBrainwaveChart(dataArrays) {
 
     brainwaveChart = new Chart(ctx, {
         type: 'line',
+        plugins: [qualityShadingPlugin, sessionArcPlugin, playbackCursorPlugin],
         data: {
-            labels: labels,
             datasets: [
                 {
-                    label: 'Delta',
-                    data: normalizedData.delta,
+                    label: t('band.delta'),
+                    band: 'delta',
+                    data: toTimelinePoints(normalizedData.delta, timeline),
                     borderColor: colors.delta,
                     backgroundColor: colors.delta,
                     borderWidth: 2,
@@ -639,8 +542,9 @@ function createBrainwaveChart(dataArrays) {
                     pointStyle: 'circle'
                 },
                 {
-                    label: 'Theta',
-                    data: normalizedData.theta,
+                    label: t('band.theta'),
+                    band: 'theta',
+                    data: toTimelinePoints(normalizedData.theta, timeline),
                     borderColor: colors.theta,
                     backgroundColor: colors.theta,
                     borderWidth: 2,
@@ -654,8 +558,9 @@ function createBrainwaveChart(dataArrays) {
                     pointStyle: 'circle'
                 },
                 {
-                    label: 'Alpha',
-                    data: normalizedData.alpha,
+                    label: t('band.alpha'),
+                    band: 'alpha',
+                    data: toTimelinePoints(normalizedData.alpha, timeline),
                     borderColor: colors.alpha,
                     backgroundColor: colors.alpha,
                     borderWidth: 2,
@@ -669,8 +574,9 @@ function createBrainwaveChart(dataArrays) {
                     pointStyle: 'circle'
                 },
                 {
-                    label: 'Beta',
-                    data: normalizedData.beta,
+                    label: t('band.beta'),
+                    band: 'beta',
+                    data: toTimelinePoints(normalizedData.beta, timeline),
                     borderColor: colors.beta,
                     backgroundColor: colors.beta,
                     borderWidth: 2,
@@ -684,8 +590,9 @@ function createBrainwaveChart(dataArrays) {
                     pointStyle: 'circle'
                 },
                 {
-                    label: 'Gamma',
-                    data: normalizedData.gamma,
+                    label: t('band.gamma'),
+                    band: 'gamma',
+                    data: toTimelinePoints(normalizedData.gamma, timeline),
                     borderColor: colors.gamma,
                     backgroundColor: colors.gamma,
                     borderWidth: 2,
@@ -744,7 +651,7 @@ function createBrainwaveChart(dataArrays) {
                                     beta: 'oklch(0.75 0.2 200)',
                                     gamma: 'oklch(0.75 0.2 250)'
                                 };
-                                const label = dataset.label.toLowerCase();
+                                const label = dataset.band;
                                 dataset.borderColor = colors[label];
                                 dataset.backgroundColor = colors[label];
                                 dataset.borderWidth = 2;
@@ -762,7 +669,7 @@ function createBrainwaveChart(dataArrays) {
                                         beta: 'oklch(0.75 0.2 200)',
                                         gamma: 'oklch(0.75 0.2 250)'
                                     };
-                                    const label = dataset.label.toLowerCase();
+                                    const label = dataset.band;
                                     dataset.borderColor = colors[label];
                                     dataset.backgroundColor = colors[label];
                                 } else {
@@ -775,7 +682,7 @@ function createBrainwaveChart(dataArrays) {
                                         beta: 'oklch(0.75 0.2 200 / 0.5)',
                                         gamma: 'oklch(0.75 0.2 250 / 0.5)'
                                     };
-                                    const label = dataset.label.toLowerCase();
+                                    const label = dataset.band;
                                     dataset.borderColor = colors[label];
                                     dataset.backgroundColor = colors[label];
                                 }
@@ -787,6 +694,7 @@ function createBrainwaveChart(dataArrays) {
                 },
                 tooltip: {
                     enabled: false,
+                    filter: isTooltipValue,
                     external: function(context) {
                         // Get or create tooltip element
                         let tooltipEl = document.getElementById('chartjs-tooltip');
@@ -810,7 +718,6 @@ function createBrainwaveChart(dataArrays) {
 
                         // Build tooltip content
                         if (tooltipModel.body) {
-                            const titleLines = tooltipModel.title || [];
 
                             // Create array of data points with their info and sort by value (descending)
                             const dataPointsWithInfo = tooltipModel.dataPoints.map((dataPoint, i) => ({
@@ -826,12 +733,17 @@ function createBrainwaveChart(dataArrays) {
                             if (!tooltipEl.querySelector('.tooltip-container')) {
                                 let innerHtml = '<div class="tooltip-container" style="padding: 12px 16px; background: rgba(255, 255, 255, 0.08); border: 1px solid rgba(255, 255, 255, 0.18); border-radius: 12px; backdrop-filter: blur(20px) saturate(1.5); -webkit-backdrop-filter: blur(20px) saturate(1.5); box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4); font-family: cmu, Inter, sans-serif; min-width: 130px;">';
 
-                                // Body container (no title)
+                                // Time of the sample above the body
+                                innerHtml += TOOLTIP_TITLE_HTML;
                                 innerHtml += '<div class="tooltip-body" style="position: relative;"></div>';
                                 innerHtml += '</div>';
                                 tooltipEl.innerHTML = innerHtml;
                             }
 
+                            if (tooltipModel.dataPoints.length > 0) {
+                                tooltipEl.querySelector('.tooltip-title').textContent = getTooltipTime(context.chart, tooltipModel.dataPoints[0]);
+                            }
+
                             // Update body with animated reordering
                             const bodyEl = tooltipEl.querySelector('.tooltip-body');
                             if (bodyEl) {
@@ -847,16 +759,16 @@ function createBrainwaveChart(dataArrays) {
                                         itemEl.setAttribute('data-label', item.label);
                                         itemEl.style.cssText = 'display: flex; align-items: center; gap: 8px; position: absolute; left: 0; width: 100%; height: 22px; transition: transform 0.3s cubic-bezier(0.4, 0, 0.2, 1), opacity 0.2s ease; white-space: nowrap;';
 
-                                        const valuePercent = (Math.exp(item.value) / sum * 100).toFixed(1);
+                                        const valuePercent = formatPercent(Math.exp(item.value) / sum, 1);
                                         itemEl.innerHTML = '<span style="width: 10px; height: 10px; flex-shrink: 0; border-radius: 50%; background: ' + item.colors.backgroundColor + ';"></span>' +
-                                                          '<span class="value-text" style="font-size: 12px; font-weight: 500; color: rgba(255, 255, 255, 0.85);">' + item.label + ': ' + valuePercent + '%</span>';
+                                                          '<span class="value-text" style="font-size: 12px; font-weight: 500; color: rgba(255, 255, 255, 0.85);">' + item.label + ': ' + valuePercent + '</span>';
                                         bodyEl.appendChild(itemEl);
                                     } else {
                                         // Update value
-                                        const valuePercent = (Math.exp(item.value) / sum * 100).toFixed(1);
+                                        const valuePercent = formatPercent(Math.exp(item.value) / sum, 1);
                                         const valueText = itemEl.querySelector('.value-text');
                                         if (valueText) {
-                                            valueText.textContent = item.label + ': ' + valuePercent + '%';
+                                            valueText.textContent = item.label + ': ' + valuePercent;
                                         }
                                     }
 
@@ -887,7 +799,7 @@ function createBrainwaveChart(dataArrays) {
                 }
             },
             scales: {
-                x: {
+                x: createTimelineScale(timeline, {
                     grid: {
                         color: 'rgba(255, 255, 255, 0.05)',
                         drawBorder: false,
@@ -897,7 +809,7 @@ function createBrainwaveChart(dataArrays) {
                         maxTicksLimit: 10,
                         display: false
                     }
-                },
+                }),
                 y: {
                     display: false,
                     grid: {
@@ -907,6 +819,7 @@ function createBrainwaveChart(dataArrays) {
             }
         }
     });
+    brainwaveChart.timeline = timeline;
 }
 
 function removeRepeatedTail(dataArrays) {
@@ -967,223 +880,44 @@ function calculateAverage(arr) {
     return sum / arr.length;
 }
 
-const fortunes = {
-    // Alpha fortunes
-    alpha_active: [
-        "Your relaxed focus brings sharp clarity to every task. Productive calm is your superpower.",
-        "Alert yet at peace, you navigate complexity with effortless precision.",
-        "Calm engagement unlocks creative problem-solving. Trust this balanced energy.",
-        "Gentle attention achieves what force cannot. Your steady presence opens all doors.",
-        "The art of relaxed concentration transforms ordinary moments into opportunities.",
-        "Peaceful awareness meets purposeful action. You master the balance few achieve."
-    ],
-    alpha_clear: [
-        "Your relaxed mind opens to creative possibilities. Trust the calm clarity within.",
-        "In stillness, solutions emerge naturally. Let your awareness guide you.",
-        "Creative energy flows when the mind is at peace. Embrace this moment.",
-        "Tranquil waters reflect the sky perfectly. Your calm mind mirrors wisdom.",
-        "Serenity becomes the canvas upon which inspiration paints its masterpiece.",
-        "Rest is not idleness—it is the space where your greatest ideas take form."
-    ],
-    alpha_meditation: [
-        "Deep relaxation meets inner knowing. Your peaceful mind touches profound wisdom.",
-        "In meditative flow, creativity and tranquility become one.",
-        "Serene awareness opens doorways to your most authentic insights.",
-        "The silence between thoughts holds secrets the noise never reveals.",
-        "In profound rest, your soul remembers what your mind forgot.",
-        "Peace deepens into revelation. You float in the ocean of consciousness itself."
-    ],
-    alpha_generic: [
-        "Calm creativity flows through your consciousness.",
-        "Your relaxed awareness moves with natural grace.",
-        "Peace and possibility dance together in your mind.",
-        "Gentle knowing guides you through the day. Trust the quiet voice.",
-        "Your inner stillness radiates outward, touching all you encounter.",
-        "Relaxation is not weakness—it is the power of water that shapes stone."
-    ],
-
-    // Beta fortunes
-    beta_active: [
-        "Your active mind cuts through complexity with precision and focus.",
-        "Problem-solving comes naturally when your awareness is sharp and engaged.",
-        "Mental agility leads to breakthrough moments. Stay alert to opportunities.",
-        "Lightning-quick perception illuminates what others overlook. Strike while the iron glows.",
-        "Your razor-sharp attention carves pathways through impossible terrain.",
-        "Dynamic thinking meets determined action. The world bends to your clarity."
-    ],
-    beta_clear: [
-        "Focused clarity brings elegant solutions to complex challenges.",
-        "Your alert yet calm mind sees patterns others miss.",
-        "Balanced thinking transforms obstacles into stepping stones.",
-        "Poised awareness cuts through confusion like a blade through silk.",
-        "Steady observation reveals the hidden order within apparent chaos.",
-        "Your composed attention finds the thread that unravels every knot."
-    ],
-    beta_meditation: [
-        "Active consciousness meets inner stillness. Rare insight emerges from this union.",
-        "Your engaged mind discovers peace within motion—a paradox that reveals truth.",
-        "Alert meditation unlocks wisdom hidden in the dance of thought and silence.",
-        "The eye of the hurricane: perfect calm surrounded by dynamic force.",
-        "Moving meditation reveals truths that sitting never could. Walk the razor's edge.",
-        "Stillness within action—the warrior's secret, the sage's paradox, your gift today."
-    ],
-    beta_generic: [
-        "Sharp clarity energizes your thinking.",
-        "Your active awareness navigates the world with purpose.",
-        "Mental energy flows through channels of focused intention.",
-        "Quick thinking opens doors before they close. Your timing is impeccable.",
-        "Engaged perception transforms the mundane into the meaningful.",
-        "Your wakeful mind dances with reality, leading when it must, following when it should."
-    ],
-
-    // Gamma fortunes
-    gamma_active: [
-        "Your heightened mind makes connections others cannot see.",
-        "Peak awareness transforms complexity into crystalline understanding.",
-        "Hyperconnected consciousness breaks through to revolutionary insight.",
-        "Synapses fire in symphonic unity. You perceive the web that connects all things.",
-        "Your accelerated awareness collapses time—past, present, future merge into now.",
-        "Neural lightning reveals the invisible architecture underlying visible reality."
-    ],
-    gamma_clear: [
-        "Expanded awareness meets serene clarity. Profound patterns reveal themselves.",
-        "Your heightened perception sees truth with calm precision.",
-        "Peak consciousness flows through open channels of understanding.",
-        "The universe whispers its secrets to minds like yours—vast yet focused.",
-        "Elevated sight meets tranquil heart. You see infinity without losing yourself.",
-        "Crystalline awareness refracts reality into its component truths."
-    ],
-    gamma_meditation: [
-        "Transcendent awareness emerges from the depths. You touch universal knowing.",
-        "The rarest state opens—pure consciousness witnessing itself.",
-        "In heightened stillness, all boundaries dissolve into infinite awareness.",
-        "You stand at the threshold where self dissolves into everything.",
-        "Peak experience meets deepest surrender. The cosmos recognizes itself through you.",
-        "In this moment, you are both the observer and the observed—unity realized."
-    ],
-    gamma_generic: [
-        "Insight emerges from the synthesis of ideas. Trust your expanded awareness.",
-        "The patterns of understanding reveal themselves to your awakened consciousness.",
-        "Your heightened mind perceives connections across all dimensions.",
-        "Quantum leaps of understanding occur when perception reaches critical velocity.",
-        "Your consciousness operates at frequencies most never access. Use this gift wisely.",
-        "The veil between seen and unseen grows transparent to your elevated sight."
-    ],
-
-    // Delta fortunes
-    delta_active: [
-        "Deep processing meets outward engagement. Hidden wisdom emerges into action.",
-        "Your unconscious mind works while you move—transformation in motion.",
-        "Profound change flows beneath active awareness. Trust the deep currents.",
-        "Primordial power rises through your actions. Ancient knowing guides modern doing.",
-        "The depths animate your surface. You move with unconscious grace.",
-        "Root wisdom flows into branch and leaf. Your actions carry primordial truth."
-    ],
-    delta_clear: [
-        "Your unconscious mind processes profound transformations with gentle clarity.",
-        "Deep wisdom surfaces into conscious awareness. Trust what rises from below.",
-        "The depths speak in whispers that your calm mind can finally hear.",
-        "What stirs in the abyss seeks the light. Welcome these visitors from below.",
-        "The slow work of the depths finally reaches the surface. Receive these gifts.",
-        "Ancient currents become conscious thoughts. The old ways speak in new voices."
-    ],
-    delta_meditation: [
-        "In trance-like depths, your deepest wisdom emerges from shadow into light.",
-        "The gateway to archetypal wisdom and healing opens before you.",
-        "Your consciousness touches the deepest waters where all things begin.",
-        "You descend to the source of all streams. Drink deeply from the first spring.",
-        "The cave at the bottom of your being holds treasures beyond price.",
-        "In the womb of consciousness, transformation gestates in perfect darkness."
-    ],
-    delta_generic: [
-        "Deep currents of change flow beneath conscious awareness. Allow the process.",
-        "Your unconscious mind weaves transformation in the hidden depths.",
-        "You journey to places beyond ordinary knowing.",
-        "The roots grow strong in darkness. Trust what you cannot yet see.",
-        "Invisible work proceeds in the depths. The harvest comes in its season.",
-        "What sleeps beneath will wake in time. The depths are never truly still."
-    ],
-
-    // Theta fortunes
-    theta_active: [
-        "Subconscious creativity meets focused action. Innovation flows freely.",
-        "Your intuitive mind engages with the world—dreams become reality.",
-        "Active imagination transforms vision into tangible form.",
-        "The dreaming mind sculpts waking reality. Your visions take physical form.",
-        "Inspiration drives your hands today. The muse and the maker are one.",
-        "Creative fire burns bright in the forge of action. You birth the impossible."
-    ],
-    theta_clear: [
-        "Your subconscious mind weaves creativity and intuition into new forms.",
-        "Meditative clarity reveals the hidden connections between all things.",
-        "Insight flows from deep waters into the light of understanding.",
-        "The twilight mind sees what daylight obscures. Trust your sideways knowing.",
-        "Half-dreaming wisdom clarifies what sharp thinking missed. Let soft focus reveal.",
-        "The boundary between imagination and perception blurs—here truth emerges."
-    ],
-    theta_meditation: [
-        "The realm of visions and symbolic truth opens before you.",
-        "Your subconscious unfolds like a lotus, revealing layer upon layer of meaning.",
-        "In this liminal space, your mind creates bridges between worlds.",
-        "You walk between waking and sleeping, knowing and unknowing, form and void.",
-        "The dream world and waking world recognize no border today. You are the bridge.",
-        "Symbolic language speaks louder than words. Your soul reads the signs."
-    ],
-    theta_generic: [
-        "Subconscious wisdom flows through your awareness.",
-        "Your intuitive mind perceives truths beyond logic.",
-        "Messages arrive from the realm of dreams.",
-        "The twilight realm whispers insights the daylight mind cannot grasp.",
-        "Your inner vision sees further than your outer eyes. Trust the images.",
-        "Creativity stirs in the half-light of consciousness. Feed it and watch it grow."
-    ],
-
-    // Balanced state
-    balanced: [
-        "All levels of consciousness work in harmony to create perfect understanding.",
-        "Your integrated awareness brings balanced perspective to every situation.",
-        "Mind, body, and spirit align to manifest your highest potential.",
-        "The symphony of your being plays in perfect harmony. Each instrument serves the whole.",
-        "Like a master conductor, you orchestrate all aspects of awareness into sublime unity.",
-        "In this moment of equilibrium, you access the wisdom of all states at once."
-    ]
+// Samples in each activeness state, with the profile's thresholds
+// (by default active: 2/3-1, clear: 1/3-2/3, meditation: 0-1/3)
+// weight(i) counts sample i as something other than one, such as the time it lasts
+function countActivenessStates(activenessArray, profile = getAnalysisProfile(), weight = () => 1) {
+    const { activeFrom, clearFrom } = profile.activeness;
+    const counts = { active: 0, clear: 0, meditation: 0 };
+
+    (activenessArray || []).forEach((value, i) => {
+        if (value >= activeFrom) {
+            counts.active += weight(i);
+        } else if (value >= clearFrom) {
+            counts.clear += weight(i);
+        } else {
+            counts.meditation += weight(i);
+        }
+    });
+    return counts;
 }
 
-function getActivenessState(activenessArray) {
-    // Calculate what proportion of time was spent in each state
-    // Active: 1-2/3 (0.67-1.0)
-    // Clear: 2/3-1/3 (0.33-0.67)
-    // Meditation: 1/3-0 (0.0-0.33)
-
+function getActivenessState(activenessArray, profile = getAnalysisProfile()) {
     if (!activenessArray || activenessArray.length === 0) {
         return null; // No activeness data
     }
 
-    let activeCount = 0;
-    let clearCount = 0;
-    let meditationCount = 0;
-
-    activenessArray.forEach(value => {
-        if (value >= 2/3) {
-            activeCount++;
-        } else if (value >= 1/3) {
-            clearCount++;
-        } else {
-            meditationCount++;
-        }
-    });
-
+    // Calculate what proportion of time was spent in each state
+    const { dominantShare } = profile.activeness;
+    const counts = countActivenessStates(activenessArray, profile);
     const total = activenessArray.length;
-    const activeRatio = activeCount / total;
-    const clearRatio = clearCount / total;
-    const meditationRatio = meditationCount / total;
+    const activeRatio = counts.active / total;
+    const clearRatio = counts.clear / total;
+    const meditationRatio = counts.meditation / total;
 
-    // Check if any state dominates (>= 2/3 of the time)
-    if (activeRatio >= 2/3) {
+    // Check if any state dominates (by default >= 2/3 of the time)
+    if (activeRatio >= dominantShare) {
         return 'active';
-    } else if (clearRatio >= 2/3) {
+    } else if (clearRatio >= dominantShare) {
         return 'clear';
-    } else if (meditationRatio >= 2/3) {
+    } else if (meditationRatio >= dominantShare) {
         return 'meditation';
     }
 
@@ -1191,26 +925,12 @@ function getActivenessState(activenessArray) {
     return 'generic';
 }
 
-function getDominantPattern(brainwaves, mlAnalysis, activenessArray) {
+function getDominantPattern(brainwaves, mlAnalysis, activenessArray, baseline = null, profile = getAnalysisProfile()) {
     // Get the activeness state
-    const activenessState = getActivenessState(activenessArray);
-
-    // Find dominant brainwave (excluding delta from dominance check, but include in normalization)
-    let { alpha, beta, gamma, theta, delta } = brainwaves;
+    const activenessState = getActivenessState(activenessArray, profile);
 
-    // Apply frequency-based weighting
-    alpha *= Math.pow((8 + 12) / 2, weighting_power);
-    beta *= Math.pow((12 + 30) / 2, weighting_power);
-    gamma *= Math.pow(30, weighting_power);
-    delta *= Math.pow(0.5, weighting_power);
-    theta *= Math.pow((4 + 8) / 2, weighting_power);
-
-    const total = alpha + beta + gamma + delta + theta;
-    alpha /= total;
-    beta  /= total;
-    gamma /= total;
-    delta /= total;
-    theta /= total;
+    // Compare against the baseline or apply frequency-based weighting, delta included
+    const { alpha, beta, gamma, theta, delta } = getBandProminence(brainwaves, baseline, profile);
 
     // Include delta in consideration for dominant wave
     const waves = { alpha, beta, gamma, theta, delta };
@@ -1219,7 +939,7 @@ function getDominantPattern(brainwaves, mlAnalysis, activenessArray) {
     let maxValue = 0;
 
     for (const [wave, value] of Object.entries(waves)) {
-        if (value > maxValue && value > dominant_cutoff) {
+        if (value > maxValue && value > profile.dominantCutoff) {
             maxValue = value;
             maxWave = wave;
         }
@@ -1239,49 +959,45 @@ function getDominantPattern(brainwaves, mlAnalysis, activenessArray) {
     return `${maxWave}_${activenessState}`;
 }
 
-function getRandomFortune(category, brainwaves, mlAnalysis) {
-    const categoryFortunes = fortunes[category] || fortunes.balanced;
-    
+// Multiplier for each ML state in the fortune seed
+const mlSeedWeights = { focus: 6000, clear: 7000, meditation: 8000, dream: 9000 };
+
+function getFortuneSeed(brainwaves, mlAnalysis, mlSignals = getFortuneConfig().mlSignals) {
+    // Only the configured ML states count, and states missing from the payload count as 0
+    const mlPart = mlSignals
+        .filter(state => ML_STATES.includes(state))
+        .reduce((sum, state) => sum + (mlAnalysis[state] || 0) * mlSeedWeights[state], 0);
+
     // Create a deterministic seed based on the brainwave and ML values
-    const seed = Math.round(
+    return Math.round(
         (brainwaves.alpha * 1000) + 
         (brainwaves.beta * 2000) + 
         (brainwaves.gamma * 3000) + 
         (brainwaves.delta * 4000) + 
         (brainwaves.theta * 5000) +
-        //(mlAnalysis.focus * 6000) +
-        //(mlAnalysis.clear * 7000) +
-        (mlAnalysis.meditation * 8000) //+
-        //(mlAnalysis.dream * 9000)
+        mlPart
     );
-    
+}
+
+// The catalog entry (with its stable id) for this category and session
+function getFortuneEntry(category, brainwaves, mlAnalysis) {
+    const categoryFortunes = getFortunesInCategory(category);
+
     // Use the seed to pick a deterministic fortune
-    const index = seed % categoryFortunes.length;
-    return categoryFortunes[index];
+    return pickStableFortune(categoryFortunes, getFortuneSeed(brainwaves, mlAnalysis));
+}
+
+function getRandomFortune(category, brainwaves, mlAnalysis) {
+    return getFortuneEntry(category, brainwaves, mlAnalysis).text;
 }
 
 function detectLongStraightSections(dataArrays) {
     // Check if any brainwave has identical values for more than 30 consecutive points (60 seconds)
     const threshold = 30; // 30 points = 60 seconds (each point is 2 seconds)
 
-    for (const wave in dataArrays) {
-        const data = dataArrays[wave];
-        if (!Array.isArray(data) || data.length < threshold) continue;
-
-        let consecutiveCount = 1;
-        for (let i = 1; i < data.length; i++) {
-            if (data[i] === data[i - 1]) {
-                consecutiveCount++;
-                if (consecutiveCount >= threshold) {
-                    return true; // Found a long straight section
-                }
-            } else {
-                consecutiveCount = 1;
-            }
-        }
-    }
-
-    return false;
+    return Object.values(dataArrays).some(data =>
+        Array.isArray(data) && findFlatlines(data, threshold).some(Boolean)
+    );
 }
 
 function highlightPeakFrequency(dominantPattern) {
@@ -1317,22 +1033,67 @@ function highlightPeakFrequency(dominantPattern) {
                 // Add the label with bold "Peak frequency"
                 const label = document.createElement('div');
                 label.className = 'peak-label';
-                label.innerHTML = '<strong>Peak frequency</strong>: this type of brainwave frequency was the most prominent in your data';
+                label.innerHTML = t('peak.label');
                 waveStat.appendChild(label);
             }
         }
     }
 }
 
-function updateBrainwaveDisplay(brainwaves, mlAnalysis, timestamp, numDataPoints, headband, rawDataArrays, activenessArray) {
+function getFrequencyWeightedPercentages(brainwaves, profile = getAnalysisProfile()) {
+    // Apply frequency-based weighting (getDominantPattern picks the dominant band from these)
+    const weights = getBandWeights(profile);
+    let adjustedBrainwaves = {
+        alpha: brainwaves.alpha * weights.alpha,
+        beta: brainwaves.beta * weights.beta,
+        gamma: brainwaves.gamma * weights.gamma,
+        delta: brainwaves.delta * weights.delta,
+        theta: brainwaves.theta * weights.theta
+    };
+
+    // Re-normalize to percentages
+    const total = adjustedBrainwaves.alpha + adjustedBrainwaves.beta + adjustedBrainwaves.gamma + adjustedBrainwaves.delta + adjustedBrainwaves.theta;
+    adjustedBrainwaves.alpha /= total;
+    adjustedBrainwaves.beta /= total;
+    adjustedBrainwaves.gamma /= total;
+    adjustedBrainwaves.delta /= total;
+    adjustedBrainwaves.theta /= total;
+
+    return adjustedBrainwaves;
+}
+
+// What the percentage boxes show and getDominantPattern compares: the shares relative to the
+// headband's baseline when there is one, otherwise weighted by frequency
+function getBandProminence(brainwaves, baseline = null, profile = getAnalysisProfile()) {
+    return baseline ? getRelativeBrainwaves(brainwaves, baseline, profile.baselineMode) : getFrequencyWeightedPercentages(brainwaves, profile);
+}
+
+// Say which baseline the boxes are relative to
+function updateBaselineSubtitle(baseline) {
+    const subtitle = document.querySelector('[data-i18n="brainwaves.subtitle"]');
+    if (!subtitle) return;
+    subtitle.textContent = baseline && baseline.source === 'headband'
+        ? t('brainwaves.subtitleHeadband', { headband: baseline.headband })
+        : t('brainwaves.subtitle');
+}
+
+function updateBrainwaveBoxes(adjustedBrainwaves) {
+    document.getElementById('deltaBox').textContent = formatPercent(adjustedBrainwaves.delta);
+    document.getElementById('thetaBox').textContent = formatPercent(adjustedBrainwaves.theta);
+    document.getElementById('alphaBox').textContent = formatPercent(adjustedBrainwaves.alpha);
+    document.getElementById('betaBox').textContent = formatPercent(adjustedBrainwaves.beta);
+    document.getElementById('gammaBox').textContent = formatPercent(adjustedBrainwaves.gamma);
+}
+
+function updateBrainwaveDisplay(brainwaves, mlAnalysis, timestamp, numDataPoints, headband, rawDataArrays, activenessArray, timeline, baseline = null) {
     // Create the activeness chart if we have activeness data
     if (activenessArray && activenessArray.length > 0) {
-        createActivenessChart(activenessArray);
+        createActivenessChart(activenessArray, timeline);
     }
 
     // Create the brainwave chart if we have arrays of raw data
     if (rawDataArrays) {
-        createBrainwaveChart(rawDataArrays);
+        createBrainwaveChart(rawDataArrays, timeline);
     }
 
     // Show/hide graph sections based on data availability
@@ -1365,42 +1126,28 @@ function updateBrainwaveDisplay(brainwaves, mlAnalysis, timestamp, numDataPoints
         }
     });
 
-    // Apply frequency-based weighting (same as in getDominantPattern)
-    let adjustedBrainwaves = {
-        alpha: brainwaves.alpha * Math.pow((8 + 12) / 2, weighting_power),
-        beta: brainwaves.beta * Math.pow((12 + 30) / 2, weighting_power),
-        gamma: brainwaves.gamma * Math.pow(30, weighting_power),
-        delta: brainwaves.delta * Math.pow(0.5, weighting_power),
-        theta: brainwaves.theta * Math.pow((4 + 8) / 2, weighting_power)
-    };
+    // Apply the baseline or frequency-based weighting (same as in getDominantPattern)
+    const adjustedBrainwaves = getBandProminence(brainwaves, baseline);
 
-    // Re-normalize to percentages
-    const total = adjustedBrainwaves.alpha + adjustedBrainwaves.beta + adjustedBrainwaves.gamma + adjustedBrainwaves.delta + adjustedBrainwaves.theta;
-    adjustedBrainwaves.alpha /= total;
-    adjustedBrainwaves.beta /= total;
-    adjustedBrainwaves.gamma /= total;
-    adjustedBrainwaves.delta /= total;
-    adjustedBrainwaves.theta /= total;
-
-    // Update brainwave values in number boxes (frequency-weighted normalized percentages)
-    document.getElementById('deltaBox').textContent = (adjustedBrainwaves.delta * 100).toFixed(0) + '%';
-    document.getElementById('thetaBox').textContent = (adjustedBrainwaves.theta * 100).toFixed(0) + '%';
-    document.getElementById('alphaBox').textContent = (adjustedBrainwaves.alpha * 100).toFixed(0) + '%';
-    document.getElementById('betaBox').textContent = (adjustedBrainwaves.beta * 100).toFixed(0) + '%';
-    document.getElementById('gammaBox').textContent = (adjustedBrainwaves.gamma * 100).toFixed(0) + '%';
+    // Update brainwave values in number boxes (normalized percentages relative to the baseline)
+    updateBrainwaveBoxes(adjustedBrainwaves);
+    updateBaselineSubtitle(baseline);
 
-    // Update wave visualizations
-    updateAllWaveVisualizations(brainwaves);
+    // Animate the wave glyphs with a signal synthesized from the session's band powers
+    if (rawDataArrays) {
+        playSessionSignal(createSignalModel(rawDataArrays, brainwaves, getSignalSeed(timestamp, rawDataArrays)));
+    }
 
     // Update fortune based on the data
-    const dominantPattern = getDominantPattern(brainwaves, mlAnalysis, activenessArray);
-    const fortune = getRandomFortune(dominantPattern, brainwaves, mlAnalysis);
+    const dominantPattern = getDominantPattern(brainwaves, mlAnalysis, activenessArray, baseline);
+    const fortuneEntry = getFortuneEntry(dominantPattern, brainwaves, mlAnalysis);
+    const fortune = getLocalizedFortuneText(fortuneEntry);
     document.getElementById('fortuneMessage').textContent = fortune;
 
     // Highlight the peak frequency
     highlightPeakFrequency(dominantPattern);
 
-    // Show data sections (brainwave section only, ML is commented out in HTML)
+    // Show the brainwave section, the ML section is shown by showMlAnalysis (ml.js) when there are states to show
     const brainwaveSection = document.querySelector('.brainwave-section');
     if (brainwaveSection) {
         brainwaveSection.style.display = 'block';
@@ -1408,7 +1155,7 @@ function updateBrainwaveDisplay(brainwaves, mlAnalysis, timestamp, numDataPoints
 
     // Display timestamp range in footer if provided
     if (timestamp && numDataPoints) {
-        document.getElementById('timestamp').textContent = 'Anonymized brainwave data ' + formatTimestampRange(timestamp, numDataPoints, headband);
+        document.getElementById('timestamp').textContent = t('footer.anonymized', { range: formatTimestampRange(timestamp, timeline.durationMs, headband) });
     } else {
         document.getElementById('timestamp').textContent = '';
     }
@@ -1418,16 +1165,163 @@ function updateBrainwaveDisplay(brainwaves, mlAnalysis, timestamp, numDataPoints
     const dataPanel = document.getElementById('dataPanel');
     dataPanel.style.opacity = '1';
     dataPanel.style.transform = 'scale(1)';
+
+    return { percentages: adjustedBrainwaves, dominantPattern, fortune, fortuneId: fortuneEntry.id };
+}
+
+// List what's wrong with a session. Notes are the problems it could still be shown with, like
+// missing activeness, so staff can see why the fortune came out the way it did.
+// Notes from parsing have a message for visitors, everything else is shown as it is
+function formatSessionDiagnostic(issue) {
+    if (!issue.key) return `${issue.field} ${issue.message}`;
+    const params = { ...issue.params };
+    if (params.band) params.band = t(`band.${params.band}`);
+    return t(issue.key, params);
+}
+
+function showSessionDiagnostics(issues, notes = []) {
+    const list = document.getElementById('sessionDiagnostics');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const addItem = (issue, className) => {
+        const item = document.createElement('li');
+        if (className) item.className = className;
+        item.textContent = formatSessionDiagnostic(issue);
+        list.appendChild(item);
+    };
+    issues.forEach(issue => addItem(issue, null));
+    notes.forEach(note => addItem(note, 'session-note'));
+
+    list.classList.toggle('notes-only', issues.length === 0);
+    list.style.display = issues.length + notes.length > 0 ? 'block' : 'none';
+}
+
+// The session currently on the page, as returned by displaySession
+let currentSessionResult = null;
+
+// Clean a parsed session and compute its averages, without touching the page:
+// removeRepeatedTail -> normalizeBrainwaves
+function prepareSession(session) {
+    // Store raw data arrays for the chart
+    let rawDataArrays = session.bands;
+
+    // Extract activeness data if available (before tail removal)
+    let activenessArray = session.activeness;
+
+    // Remove synchronized repeated values from the tail (based on brainwave data only)
+    const originalLength = rawDataArrays.alpha.length;
+    rawDataArrays = removeRepeatedTail(rawDataArrays);
+    const newLength = rawDataArrays.alpha.length;
+    const removeCount = originalLength - newLength;
+
+    // Remove the same number of entries from activeness array
+    if (activenessArray.length > 0 && removeCount > 0) {
+        activenessArray = activenessArray.slice(0, -removeCount);
+    }
+    const sampleTimes = session.sampleTimes ? session.sampleTimes.slice(0, newLength) : null;
+
+    // Flag artifacts, and leave them out of the averages if configured to
+    const quality = assessSignalQuality(rawDataArrays);
+    const artifactsExcluded = getQualityConfig().excludeArtifacts;
+    const averagedArrays = artifactsExcluded ? getCleanDataArrays(rawDataArrays, quality) : rawDataArrays;
+
+    // Calculate averages of all values for display
+    const rawBrainwaves = {
+        alpha: calculateAverage(averagedArrays.alpha),
+        beta: calculateAverage(averagedArrays.beta),
+        gamma: calculateAverage(averagedArrays.gamma),
+        delta: calculateAverage(averagedArrays.delta),
+        theta: calculateAverage(averagedArrays.theta)
+    };
+    const brainwaves = normalizeBrainwaves(rawBrainwaves);
+
+    // Extract ML analysis - calculate averages (also clean these arrays), null for states the payload doesn't have
+    const mlAveragedArrays = removeRepeatedTail(session.ml);
+    const mlAnalysis = Object.fromEntries(ML_STATES.map(state =>
+        [state, mlAveragedArrays[state].length > 0 ? calculateAverage(mlAveragedArrays[state]) : null]
+    ));
+
+    // The ML series for charting, lined up with the bands
+    const mlDataArrays = Object.fromEntries(ML_STATES.map(state => [state, session.ml[state].slice(0, newLength)]));
+
+    // Timestamp is already converted to milliseconds by the parser
+    const timestamp = session.startTimestamp;
+
+    // Determine number of data points from one of the arrays (they should all have the same length)
+    const numDataPoints = rawDataArrays.alpha.length;
+
+    // Where each sample sits in time, gaps included
+    const timeline = createTimeline(sampleTimes, timestamp, numDataPoints);
+
+    return { run: session.run, brainwaves, mlAnalysis, timestamp, numDataPoints, sampleTimes, timeline, rawDataArrays, activenessArray, mlDataArrays, quality, artifactsExcluded };
+}
+
+// Clean a parsed session and display it:
+// prepareSession -> updateBrainwaveDisplay
+// The id or recordingFile says where it came from, to name exports after it
+function displaySession(session, headband, { id = null, recordingFile = null } = {}) {
+    const prepared = prepareSession(session);
+    const { brainwaves, mlAnalysis, timestamp, numDataPoints, rawDataArrays, activenessArray, timeline, quality, artifactsExcluded } = prepared;
+
+    // Sessions are read against what's usual for their headband
+    const baseline = getBaselineFor(headband);
+
+    // Update the display with raw data arrays for charting
+    const { percentages, dominantPattern, fortune, fortuneId } = updateBrainwaveDisplay(brainwaves, mlAnalysis, timestamp, numDataPoints, headband, rawDataArrays, activenessArray, timeline, baseline);
+
+    // Mark artifacts on the charts and summarize the signal quality
+    shadeQualityIssues(quality);
+    showQualityReport(quality, artifactsExcluded);
+
+    // Chart whatever ML states the payload has
+    showMlAnalysis(prepared);
+
+    // Mark the phases and moments of the session, and say something about them under the fortune
+    const arc = analyzeSessionArc(prepared);
+    annotateSessionArc(arc);
+    showSessionArc(arc, timeline);
+
+    // Offer downloads now that there's data to download
+    const exportLinks = document.getElementById('exportLinks');
+    if (exportLinks) {
+        exportLinks.style.display = 'block';
+    }
+
+    // Remember everything about the displayed session so it can be exported
+    currentSessionResult = { headband, id, recordingFile, ...prepared, baseline, arc, percentages, dominantPattern, fortune, fortuneId };
+
+    // Put the numbers into words under the fortune
+    showSessionSummary(currentSessionResult);
+
+    // Let the visitor play back the session from the start
+    setupPlayback(currentSessionResult);
+
+    // Give the background this session's own ocean
+    applySessionToOcean(currentSessionResult);
+
+    // Try other analysis profiles against this session, when the debug panel is open
+    updateAnalysisDebug();
+    return currentSessionResult;
 }
 
 async function fetchBrainwaveData() {
+    // The session being asked for, for the error details
+    let request = null;
     try {
-        const urlParams = getUrlParams();
+        const urlParams = await getUrlParams();
         console.log('URL Params:', urlParams);
 
         // Show loading dots
         document.getElementById('loadingDots').style.display = 'block';
-        document.getElementById('fortuneMessage').textContent = 'Connecting to the cosmos...';
+        // Load the visitor's language before any text is shown
+        await ensureLocale();
+        document.getElementById('fortuneMessage').textContent = t('loading.connecting');
+
+        // Fortunes live in a separate catalog file, and the analysis profile may too
+        await ensureFortuneCatalog();
+        await ensureAnalysisProfile();
+        await ensureBaselines();
 
         // Check if we're in fortune mode
         if (urlParams.mode === 'fortune') {
@@ -1448,120 +1342,47 @@ async function fetchBrainwaveData() {
             return;
         }
 
-        // Build request body - only include run if it's specified in URL
-        const requestBody = { headband: urlParams.headband };
-        if (urlParams.run !== null) {
-            requestBody.run = urlParams.run;
-        }
-
-        const response = await fetch('https://bq3lmawgx4.execute-api.us-east-2.amazonaws.com/query_seventh_dimension_ITP_camp', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-            throw new Error('Failed to fetch brainwave data');
+        // Operator screen: follow the session while it's being recorded
+        const liveMode = getLiveMode();
+        if (liveMode) {
+            await startLiveSession(urlParams, liveMode);
+            return;
         }
 
-        const data = await response.json();
-        console.log('Received data:', data);
+        // Fetch from the configured data source (remote API, static files or fixtures)
+        // Transient failures are retried a few times before giving up
+        const dataSource = getDataSource();
+        request = { headband: urlParams.headband, run: urlParams.run };
+        const data = await fetchSessionWithRetry(dataSource, request, showLoadRetry);
+        console.log(`Received data from ${dataSource.name} source:`, data);
 
-        if (data.alpha_smoothed) { data.alpha = data.alpha_smoothed; }
-        if (data.beta_smoothed) { data.beta = data.beta_smoothed; }
-        if (data.gamma_smoothed) { data.gamma = data.gamma_smoothed; }
-        if (data.delta_smoothed) { data.delta = data.delta_smoothed; }
-        if (data.theta_smoothed) { data.theta = data.theta_smoothed; }
+        // Validate the payload and turn it into a well-defined session object
+        const session = parseSessionPayload(data);
+        session.warnings.forEach(warning => console.warn(`Session data warning: ${warning.field} ${warning.message}`));
+        showSessionDiagnostics([], session.warnings);
 
         // Extract run number from response metadata (if available) or from data structure
         // The query returns the actual run number used in the response
-        const actualRun = data.run || urlParams.run || 1;
+        const actualRun = session.run || urlParams.run || 1;
 
         // Update URL params with the actual run number used
-        updateUrlParams(urlParams.headband, actualRun);
-
-        // Store raw data arrays for the chart
-        let rawDataArrays = {
-            alpha: Array.isArray(data.alpha) ? data.alpha : [data.alpha || 0],
-            beta: Array.isArray(data.beta) ? data.beta : [data.beta || 0],
-            gamma: Array.isArray(data.gamma) ? data.gamma : [data.gamma || 0],
-            delta: Array.isArray(data.delta) ? data.delta : [data.delta || 0],
-            theta: Array.isArray(data.theta) ? data.theta : [data.theta || 0]
-        };
-
-        // Extract activeness data if available (before tail removal)
-        let activenessArray = Array.isArray(data.activeness) ? data.activeness : (data.activeness !== undefined ? [data.activeness] : []);
-
-        // Remove synchronized repeated values from the tail (based on brainwave data only)
-        const originalLength = rawDataArrays.alpha.length;
-        rawDataArrays = removeRepeatedTail(rawDataArrays);
-        const newLength = rawDataArrays.alpha.length;
-        const removeCount = originalLength - newLength;
-
-        // Remove the same number of entries from activeness array
-        if (activenessArray.length > 0 && removeCount > 0) {
-            activenessArray = activenessArray.slice(0, -removeCount);
-        }
-
-        // Calculate averages of all values for display
-        const rawBrainwaves = {
-            alpha: calculateAverage(rawDataArrays.alpha),
-            beta: calculateAverage(rawDataArrays.beta),
-            gamma: calculateAverage(rawDataArrays.gamma),
-            delta: calculateAverage(rawDataArrays.delta),
-            theta: calculateAverage(rawDataArrays.theta)
-        };
-        const brainwaves = normalizeBrainwaves(rawBrainwaves);
-
-        // Extract ML analysis - calculate averages (also clean these arrays)
-        let mlDataArrays = {
-            focus: Array.isArray(data.focus) ? data.focus : [data.focus || 0],
-            clear: Array.isArray(data.clear) ? data.clear : [data.clear || 0],
-            meditation: Array.isArray(data.meditation) ? data.meditation : [data.meditation || 0],
-            dream: Array.isArray(data.dream) ? data.dream : [data.dream || 0]
-        };
-        mlDataArrays = removeRepeatedTail(mlDataArrays);
-
-        const mlAnalysis = {
-            focus: calculateAverage(mlDataArrays.focus),
-            clear: calculateAverage(mlDataArrays.clear),
-            meditation: calculateAverage(mlDataArrays.meditation),
-            dream: calculateAverage(mlDataArrays.dream)
-        };
+        const id = await updateUrlParams(urlParams.headband, actualRun, urlParams.run === actualRun ? urlParams.token : null);
 
-        // Extract timestamp if available and convert to milliseconds
-        const timestamp = data.start_timestamp ? new Date(data.start_timestamp).getTime() : null;
+        // Clean, average and display the session
+        const result = displaySession({ ...session, run: actualRun }, urlParams.headband, { id });
 
-        // Determine number of data points from one of the arrays (they should all have the same length)
-        const numDataPoints = rawDataArrays.alpha.length;
+        console.log('Brainwave data updated:', result);
 
-        // Update the display with raw data arrays for charting
-        updateBrainwaveDisplay(brainwaves, mlAnalysis, timestamp, numDataPoints, urlParams.headband, rawDataArrays, activenessArray);
+        // Remember it for the history page
+        recordSessionView(result);
 
-        console.log('Brainwave data updated:', { brainwaves, mlAnalysis, run: actualRun, timestamp, numDataPoints, activenessCount: activenessArray.length });
+        // Compare against other sessions if the URL asks for it
+        await displayComparison(result);
 
     } catch (error) {
         console.error('Error fetching brainwave data:', error);
-        // Show error in display
-        const errorMsg = 'X';
-        document.getElementById('deltaBox').textContent = errorMsg;
-        document.getElementById('thetaBox').textContent = errorMsg;
-        document.getElementById('alphaBox').textContent = errorMsg;
-        document.getElementById('betaBox').textContent = errorMsg;
-        document.getElementById('gammaBox').textContent = errorMsg;
-        document.getElementById('focusBox').textContent = errorMsg;
-        document.getElementById('clearBox').textContent = errorMsg;
-        document.getElementById('meditationBox').textContent = errorMsg;
-        document.getElementById('dreamBox').textContent = errorMsg;
-        document.getElementById('fortuneMessage').textContent = 'Unable to read brainwaves. The universe is cloudy today.';
-
-        // Hide loading dots and still scale in the panel even on error
-        document.getElementById('loadingDots').style.display = 'none';
-        const dataPanel = document.getElementById('dataPanel');
-        dataPanel.style.opacity = '1';
-        dataPanel.style.transform = 'scale(1)';
+        // Tell the visitor what kind of problem it is, and offer to try again
+        showLoadError(error, request);
     }
 }
 
@@ -1570,7 +1391,7 @@ document.addEventListener('click', (event) => {
     const isChartClick = event.target.closest('canvas');
     if (!isChartClick) {
         // Hide all tooltips
-        const tooltips = ['chartjs-tooltip', 'activeness-tooltip'];
+        const tooltips = ['chartjs-tooltip', 'activeness-tooltip', 'ml-tooltip'];
         tooltips.forEach(id => {
             const tooltip = document.getElementById(id);
             if (tooltip) {
@@ -0,0 +1,207 @@
+// Shareable fortune card images, rendered client-side to a canvas
+
+const cardFormats = {
+    square: { width: 1080, height: 1080 },
+    story: { width: 1080, height: 1920 }
+};
+
+// Read the OKLCh lightness/chroma variables from styles.css so the card matches the page
+function getCardColors() {
+    const style = getComputedStyle(document.documentElement);
+    const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+    const text = { lightness: read('--text-lightness', '0.9'), chroma: read('--text-chroma', '0.1') };
+    const border = {
+        lightness: read('--border-lightness', '0.75'),
+        chroma: read('--border-chroma', '0.2'),
+        alpha: read('--border-alpha', '0.4')
+    };
+
+    return {
+        text: (hue) => `oklch(${text.lightness} ${text.chroma} ${hue})`,
+        border: (hue, alpha = border.alpha) => `oklch(${border.lightness} ${border.chroma} ${hue} / ${alpha})`
+    };
+}
+
+// Break text into lines that fit within maxWidth with the current font
+function wrapCanvasText(ctx, text, maxWidth) {
+    const words = text.split(/\s+/);
+    const lines = [];
+    let line = '';
+
+    words.forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width > maxWidth && line) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+function drawCardBackground(ctx, width, height) {
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, 'oklch(0.25 0.06 230)');
+    gradient.addColorStop(1, 'oklch(0.12 0.04 260)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+}
+
+function drawFortuneBox(ctx, lines, centerX, y, lineHeight, maxWidth) {
+    const paddingX = 30;
+    const paddingY = 20;
+    const boxWidth = Math.min(maxWidth, Math.max(...lines.map(line => ctx.measureText(line).width))) + paddingX * 2;
+    const boxHeight = lines.length * lineHeight + paddingY * 2;
+
+    // Same light panel with dark text as .fortune-message
+    ctx.fillStyle = 'rgba(243, 243, 243, 0.9)';
+    ctx.beginPath();
+    ctx.roundRect(centerX - boxWidth / 2, y, boxWidth, boxHeight, 10);
+    ctx.fill();
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 1.0)';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+        ctx.fillText(line, centerX, y + paddingY + lineHeight * (i + 0.5));
+    });
+
+    return boxHeight;
+}
+
+function drawWaveGlyphs(ctx, result, colors, x, y, totalWidth, boxHeight) {
+    const gap = 20;
+    const boxWidth = (totalWidth - gap * (BAND_NAMES.length - 1)) / BAND_NAMES.length;
+    const peakBand = result.dominantPattern.split('_')[0];
+
+    // The same signal as the page's glyphs, frozen at the session's average band powers
+    const signalModel = createSignalModel(result.rawDataArrays, result.brainwaves, getSignalSeed(result.timestamp, result.rawDataArrays));
+
+    BAND_NAMES.forEach((band, i) => {
+        const hue = bandHues[band];
+        const boxX = x + i * (boxWidth + gap);
+        const isPeak = band === peakBand;
+
+        ctx.fillStyle = isPeak ? 'rgba(255, 255, 255, 0.08)' : 'rgba(255, 255, 255, 0.04)';
+        ctx.strokeStyle = isPeak ? 'rgba(255, 255, 255, 0.5)' : colors.border(hue);
+        ctx.lineWidth = isPeak ? 5 : 3;
+        ctx.beginPath();
+        ctx.roundRect(boxX, y, boxWidth, boxHeight, 18);
+        ctx.fill();
+        ctx.stroke();
+
+        if (isPeak) {
+            ctx.strokeStyle = colors.border(hue);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.roundRect(boxX + 5, y + 5, boxWidth - 10, boxHeight - 10, 14);
+            ctx.stroke();
+        }
+
+        // The glyph path is generated for an 80x60 box, so scale it up
+        const glyphScale = (boxWidth - 30) / 80;
+        const path = new Path2D(renderBandSignalPath(signalModel, band));
+        ctx.save();
+        ctx.translate(boxX + 15, y + 20);
+        ctx.scale(glyphScale, glyphScale);
+        ctx.strokeStyle = colors.text(hue);
+        ctx.lineWidth = 1.5;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.stroke(path);
+        ctx.restore();
+
+        const textY = y + 20 + 60 * glyphScale + 20;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = colors.text(hue);
+        ctx.font = 'bold 40px Monaco, Consolas, monospace';
+        ctx.fillText(formatPercent(result.percentages[band]), boxX + boxWidth / 2, textY);
+
+        ctx.fillStyle = 'white';
+        ctx.font = '600 28px cmu, Inter, sans-serif';
+        ctx.fillText(t('band.' + band), boxX + boxWidth / 2, textY + 55);
+
+        if (isPeak) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.font = 'bold 20px cmu, Inter, sans-serif';
+            ctx.fillText(t('peak.short'), boxX + boxWidth / 2, textY + 95);
+        }
+    });
+}
+
+async function renderFortuneCard(result, formatName = 'square') {
+    const format = cardFormats[formatName] || cardFormats.square;
+    const { width, height } = format;
+    const padding = 80;
+    const contentWidth = width - padding * 2;
+
+    // Make sure the page font is loaded before measuring text
+    await document.fonts.ready;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const colors = getCardColors();
+
+    drawCardBackground(ctx, width, height);
+
+    // Measure everything first so the content can be centered vertically
+    const fortuneFontSize = formatName === 'story' ? 56 : 48;
+    const fortuneLineHeight = fortuneFontSize * 1.4;
+    ctx.font = `500 ${fortuneFontSize}px cmu, Inter, sans-serif`;
+    const fortuneLines = wrapCanvasText(ctx, result.fortune, contentWidth - 60);
+    const fortuneHeight = fortuneLines.length * fortuneLineHeight + 40;
+
+    const titleHeight = 50;
+    const glyphHeight = 300;
+    const dateHeight = 40;
+    const sectionGap = formatName === 'story' ? 120 : 60;
+    const totalHeight = titleHeight + sectionGap + fortuneHeight + sectionGap + glyphHeight + sectionGap + dateHeight;
+    let y = Math.max(padding, (height - totalHeight) / 2);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.font = '600 36px cmu, Inter, sans-serif';
+    ctx.fillText(t('card.title'), width / 2, y);
+    y += titleHeight + sectionGap;
+
+    ctx.font = `500 ${fortuneFontSize}px cmu, Inter, sans-serif`;
+    y += drawFortuneBox(ctx, fortuneLines, width / 2, y, fortuneLineHeight, contentWidth - 60) + sectionGap;
+
+    drawWaveGlyphs(ctx, result, colors, padding, y, contentWidth, glyphHeight);
+    y += glyphHeight + sectionGap;
+
+    if (result.timestamp) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.font = '26px cmu, Inter, sans-serif';
+        ctx.fillText(t('card.date', { range: formatTimestampRange(result.timestamp, result.timeline.durationMs, result.headband) }), width / 2, y);
+    }
+
+    return canvas;
+}
+
+async function downloadFortuneCard(formatName) {
+    if (!currentSessionResult) return;
+
+    const canvas = await renderFortuneCard(currentSessionResult, formatName);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    downloadFile(getExportFileName(currentSessionResult, `${formatName}.png`), blob, 'image/png');
+}
+
+window.addEventListener('load', () => {
+    document.querySelectorAll('[data-card]').forEach(button => {
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            downloadFortuneCard(button.dataset.card).catch(error => {
+                console.error('Failed to render fortune card:', error);
+            });
+        });
+    });
+});
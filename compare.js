@@ -0,0 +1,234 @@
+// Side-by-side comparison of several sessions, e.g. ?id=A&compare=B&compare=C (or compare=B,C)
+
+// Line colors for each compared session, first is the session in ?id=
+const compareSessionHues = [250, 300, 140, 30, 200];
+
+let compareCharts = [];
+
+function getCompareIds() {
+    const params = new URLSearchParams(window.location.search);
+    return params.getAll('compare')
+        .flatMap(value => value.split(','))
+        .map(value => value.trim())
+        .filter(value => value !== '');
+}
+
+// Fetch, validate and analyze a session from its id without displaying it
+async function loadComparedSession(id) {
+    const decoded = await decodeAnyId(id);
+    if (!decoded || decoded.mode !== 'data') {
+        throw new Error(`"${id}" is not a session id`);
+    }
+
+    const data = await fetchSessionWithRetry(getDataSource(), { headband: decoded.headband, run: decoded.run });
+    const prepared = prepareSession(parseSessionPayload(data));
+    const baseline = getBaselineFor(decoded.headband);
+    return {
+        id,
+        headband: decoded.headband,
+        ...prepared,
+        baseline,
+        percentages: getBandProminence(prepared.brainwaves, baseline),
+        dominantPattern: getDominantPattern(prepared.brainwaves, prepared.mlAnalysis, prepared.activenessArray, baseline)
+    };
+}
+
+function getCompareLabel(index) {
+    return t('compare.session', { letter: String.fromCharCode(65 + index) });
+}
+
+function describeComparedSession(result) {
+    const parts = [];
+    if (result.headband !== undefined && result.headband !== null) parts.push(t('compare.headband', { headband: result.headband }));
+    if (result.run) parts.push(t('compare.run', { run: result.run }));
+    if (result.timestamp) parts.push(formatTimestamp(result.timestamp));
+    return parts.join(', ');
+}
+
+function buildCompareTable(results) {
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+
+    const headerCells = results.map((result, i) =>
+        `<th style="color: oklch(0.75 0.2 ${compareSessionHues[i % compareSessionHues.length]})">${getCompareLabel(i)}</th>`
+    );
+    const differenceHeaders = results.slice(1).map((_, i) => `<th>${t('compare.versus', { session: getCompareLabel(i + 1) })}</th>`);
+    table.innerHTML = `<thead><tr><th></th>${headerCells.join('')}${differenceHeaders.join('')}</tr></thead>`;
+
+    const body = document.createElement('tbody');
+    BAND_NAMES.forEach(band => {
+        const row = document.createElement('tr');
+        const values = results.map(result => result.percentages[band]);
+        const differences = values.slice(1).map(value => {
+            const difference = value - values[0];
+            const sign = difference > 0 ? '+' : '';
+            return `<td class="compare-difference">${sign}${formatPercent(difference)}</td>`;
+        });
+        row.innerHTML = `<th style="color: oklch(var(--text-lightness) var(--text-chroma) ${bandHues[band]})">${t('band.' + band)}</th>` +
+            values.map(value => `<td>${formatPercent(value)}</td>`).join('') +
+            differences.join('');
+        body.appendChild(row);
+    });
+
+    const patternRow = document.createElement('tr');
+    patternRow.className = 'compare-pattern-row';
+    patternRow.innerHTML = `<th>${t('compare.dominantPattern')}</th>` +
+        results.map(result => `<td>${formatPatternName(result.dominantPattern)}</td>`).join('') +
+        results.slice(1).map(() => '<td></td>').join('');
+    body.appendChild(patternRow);
+
+    table.appendChild(body);
+    return table;
+}
+
+// Charts share a linear time axis in seconds, as long as the longest session
+function createCompareChart(canvas, totalSeconds, datasets, yScale) {
+    const showMinutes = totalSeconds >= 60;
+    return new Chart(canvas, {
+        type: 'line',
+        data: { datasets: datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            clip: false,
+            interaction: {
+                mode: 'index',
+                axis: 'x',
+                intersect: false,
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        color: 'rgba(255, 255, 255, 0.8)',
+                        padding: 15,
+                        font: {
+                            size: 12,
+                            family: 'cmu, Inter, sans-serif'
+                        },
+                        usePointStyle: true,
+                        pointStyle: 'line'
+                    }
+                },
+                tooltip: { enabled: false }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 0,
+                    max: totalSeconds,
+                    grid: {
+                        color: 'rgba(255, 255, 255, 0.05)',
+                        drawBorder: false,
+                        drawTicks: false
+                    },
+                    ticks: {
+                        maxTicksLimit: 10,
+                        color: 'rgba(255, 255, 255, 0.5)',
+                        callback: (value) => formatElapsed(Math.round(value), showMinutes)
+                    }
+                },
+                y: yScale
+            }
+        }
+    });
+}
+
+function createCompareChartContainer(parent, height, title) {
+    const heading = document.createElement('p');
+    heading.className = 'graph-subtitle';
+    heading.textContent = title;
+    parent.appendChild(heading);
+
+    const container = document.createElement('div');
+    container.style.cssText = `position: relative; height: ${height}px; width: 100%; margin-bottom: 1rem;`;
+    const canvas = document.createElement('canvas');
+    container.appendChild(canvas);
+    parent.appendChild(container);
+    return canvas;
+}
+
+function renderComparison(results) {
+    const section = document.getElementById('compareSection');
+    if (!section) return;
+
+    compareCharts.forEach(chart => chart.destroy());
+    compareCharts = [];
+
+    const sessionList = document.getElementById('compareSessions');
+    sessionList.innerHTML = '';
+    results.forEach((result, i) => {
+        const item = document.createElement('li');
+        item.innerHTML = `<b style="color: oklch(0.75 0.2 ${compareSessionHues[i % compareSessionHues.length]})">${getCompareLabel(i)}</b>: `;
+        item.appendChild(document.createTextNode(describeComparedSession(result)));
+        sessionList.appendChild(item);
+    });
+
+    const tableContainer = document.getElementById('compareTable');
+    tableContainer.innerHTML = '';
+    tableContainer.appendChild(buildCompareTable(results));
+
+    // All charts share one time axis, as long as the longest session
+    const totalSeconds = Math.max(...results.map(result => createTimelineScale(result.timeline).max));
+
+    const chartsContainer = document.getElementById('compareCharts');
+    chartsContainer.innerHTML = '';
+
+    // Brainwaves are stacked, one chart per session, since five bands per session can't be overlaid legibly
+    results.forEach((result, i) => {
+        const canvas = createCompareChartContainer(chartsContainer, 160, t('compare.brainwaves', { session: getCompareLabel(i) }));
+        const series = getLogBrainwaveSeries(result.rawDataArrays);
+        const datasets = BAND_NAMES.map(band => ({
+            label: t('band.' + band),
+            data: toTimelinePoints(series[band], result.timeline),
+            borderColor: `oklch(0.75 0.2 ${bandHues[band]})`,
+            backgroundColor: `oklch(0.75 0.2 ${bandHues[band]})`,
+            borderWidth: 2,
+            tension: 0.3,
+            pointRadius: 0
+        }));
+        compareCharts.push(createCompareChart(canvas, totalSeconds, datasets, { display: false, grid: { display: false } }));
+    });
+
+    // Activeness is a single line per session, so those are overlaid
+    const withActiveness = results.filter(result => result.activenessArray.length > 0);
+    if (withActiveness.length > 0) {
+        const canvas = createCompareChartContainer(chartsContainer, 140, t('compare.activeness'));
+        const datasets = results.map((result, i) => ({
+            label: getCompareLabel(i),
+            data: toTimelinePoints(result.activenessArray, result.timeline),
+            borderColor: `oklch(0.75 0.2 ${compareSessionHues[i % compareSessionHues.length]})`,
+            backgroundColor: `oklch(0.75 0.2 ${compareSessionHues[i % compareSessionHues.length]})`,
+            borderWidth: 2,
+            borderDash: i === 0 ? [] : [6, 4],
+            tension: 0.3,
+            pointRadius: 0
+        })).filter(dataset => dataset.data.length > 0);
+        compareCharts.push(createCompareChart(canvas, totalSeconds, datasets, {
+            beginAtZero: true,
+            max: 1,
+            display: false,
+            grid: { display: false }
+        }));
+    }
+
+    section.style.display = 'block';
+}
+
+// Called once the main session is displayed, with its result as the first session
+async function displayComparison(mainResult) {
+    const compareIds = getCompareIds();
+    if (compareIds.length === 0) return;
+
+    const status = document.getElementById('compareStatus');
+    try {
+        const others = await Promise.all(compareIds.map(loadComparedSession));
+        status.textContent = '';
+        renderComparison([mainResult, ...others]);
+    } catch (error) {
+        console.error('Error loading sessions to compare:', error);
+        status.textContent = t('compare.error');
+        document.getElementById('compareSection').style.display = 'block';
+    }
+}
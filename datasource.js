@@ -0,0 +1,272 @@
+// Pluggable data sources for fetching a session's raw brainwave payload
+//
+// The source is chosen by the `source` URL param (e.g. ?id=...&source=static) or by
+// window.brainwaveConfig.dataSource, which can be set in a script tag before this file loads:
+//
+//   window.brainwaveConfig = { dataSource: { source: 'static', staticBaseUrl: './sessions/' } };
+//
+// ?source=fixture serves sessions without any backend, for demos and offline testing: those added
+// with registerFixture, then those in the fixturesUrl file (./fixtures/sample.json has headband 1, run 1,
+// so ?h=1&r=1&source=fixture always shows a session). The file has the same { headband: { run: payload } }
+// shape, and fixturesUrl can be set to null to use registered fixtures only.
+//
+// Every adapter exposes fetchSession({ headband, run }) which resolves to the same JSON payload
+// the remote API returns (alpha, beta, ..., activeness, start_timestamp, run, and optionally
+// timestamps with the time of each sample).
+//
+// Failures are thrown as typed errors so the page can say what went wrong:
+//   SessionUnavailableError  the server couldn't be reached or had a problem, worth retrying
+//   SessionNotFoundError     there is no session for that headband and run (yet)
+//   SessionFetchError        any other refusal, e.g. a bad request
+// and fetchSessionWithRetry retries the transient ones with exponential backoff. The page's own files
+// (fortune catalog, analysis profile, baseline) are fetched with fetchPageFile, which fails and
+// retries the same way, so a dropped connection reads the same whichever request it hits.
+
+const DEFAULT_API_URL = 'https://bq3lmawgx4.execute-api.us-east-2.amazonaws.com/query_seventh_dimension_ITP_camp';
+
+const defaultDataSourceConfig = {
+    source: 'remote',
+    remoteUrl: DEFAULT_API_URL,
+    staticBaseUrl: './sessions/',
+    fixturesUrl: './fixtures/sample.json',
+    retries: 3,          // extra attempts after a transient failure
+    retryDelayMs: 1000,  // before the first retry, doubling for each one after it
+    maxRetryDelayMs: 8000
+};
+
+class SessionFetchError extends Error {
+    constructor(message, { status = null, transient = false } = {}) {
+        super(message);
+        this.name = 'SessionFetchError';
+        this.status = status;       // HTTP status, or null when there was no response
+        this.transient = transient; // whether trying again later could help
+    }
+}
+
+class SessionUnavailableError extends SessionFetchError {
+    constructor(message, status = null) {
+        super(message, { status, transient: true });
+        this.name = 'SessionUnavailableError';
+    }
+}
+
+class SessionNotFoundError extends SessionFetchError {
+    constructor(message, status = 404) {
+        super(message, { status });
+        this.name = 'SessionNotFoundError';
+    }
+}
+
+// In-memory fixtures keyed by headband, then run
+const registeredFixtures = {};
+
+// Fixtures from the fixturesUrl file, loaded the first time a fixture is asked for
+let fixtureFilePromise = null;
+
+function getDataSourceConfig() {
+    const config = (window.brainwaveConfig && window.brainwaveConfig.dataSource) || {};
+    return { ...defaultDataSourceConfig, ...config };
+}
+
+// Statuses that say the server is having trouble rather than refusing the request
+function isTransientStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+}
+
+// Fetch a payload and turn every way it can fail into one of the typed errors above
+async function fetchSessionJson(url, options, notFoundMessage) {
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (error) {
+        // fetch only rejects when there's no response at all: offline, DNS, CORS, aborted
+        throw new SessionUnavailableError(`Could not reach ${url}: ${error.message}`);
+    }
+
+    if (response.status === 404) {
+        throw new SessionNotFoundError(notFoundMessage);
+    }
+    if (isTransientStatus(response.status)) {
+        throw new SessionUnavailableError(`${url} answered ${response.status} ${response.statusText}`.trim(), response.status);
+    }
+    if (!response.ok) {
+        throw new SessionFetchError(`${url} answered ${response.status} ${response.statusText}`.trim(), { status: response.status });
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new SessionValidationError([{ field: 'payload', message: 'is not valid JSON' }]);
+    }
+}
+
+// Remote adapter: POSTs { headband, run } to the API Gateway endpoint (or any compatible server)
+function createRemoteSource(url) {
+    return {
+        name: 'remote',
+        async fetchSession({ headband, run }) {
+            // Only include run if it's specified
+            const requestBody = { headband: headband };
+            if (run !== null && run !== undefined) {
+                requestBody.run = run;
+            }
+
+            return await fetchSessionJson(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(requestBody)
+            }, `No session for headband ${headband}, run ${run !== null && run !== undefined ? run : 'latest'}`);
+        }
+    };
+}
+
+// Static adapter: GETs recorded sessions saved as JSON files, e.g. ./sessions/3-12.json
+// If no run is given, ./sessions/3-latest.json is used instead
+function createStaticSource(baseUrl) {
+    return {
+        name: 'static',
+        async fetchSession({ headband, run }) {
+            const runPart = (run !== null && run !== undefined) ? run : 'latest';
+            const data = await fetchSessionJson(`${baseUrl}${headband}-${runPart}.json`, {},
+                `No recorded session for headband ${headband}, run ${runPart}`);
+            // Recorded files may omit the run, so fill it in from the file name
+            if (data.run === undefined && run !== null && run !== undefined) {
+                data.run = run;
+            }
+            return data;
+        }
+    };
+}
+
+// Load the fixtures file once, later calls share the same promise until it fails
+function loadFixtureFile(url) {
+    if (!fixtureFilePromise) {
+        fixtureFilePromise = fetchPageFile(url).then(response => {
+            if (!response.ok) {
+                throw new SessionFetchError(`Failed to load fixtures ${url}`, { status: response.status });
+            }
+            return response.json();
+        }).catch(error => {
+            fixtureFilePromise = null;
+            throw error;
+        });
+    }
+    return fixtureFilePromise;
+}
+
+// Fixture adapter: serves payloads registered in memory with registerFixture, then those in the
+// fixtures file at fileUrl, if any
+// If no run is given, the highest run for that headband is used
+function createFixtureSource(fixtures = registeredFixtures, fileUrl = null) {
+    return {
+        name: 'fixture',
+        async fetchSession({ headband, run }) {
+            const fileFixtures = fileUrl ? await loadFixtureFile(fileUrl) : {};
+            const runs = { ...(fileFixtures[headband] || {}), ...(fixtures[headband] || {}) };
+            let chosenRun = run;
+            if (chosenRun === null || chosenRun === undefined) {
+                const available = Object.keys(runs).map(Number);
+                chosenRun = available.length > 0 ? Math.max(...available) : null;
+            }
+
+            const data = runs[chosenRun];
+            if (!data) {
+                throw new SessionNotFoundError(`No fixture for headband ${headband}, run ${chosenRun}`);
+            }
+
+            // Copy so callers can't mutate the registered fixture
+            return { run: chosenRun, ...JSON.parse(JSON.stringify(data)) };
+        }
+    };
+}
+
+function registerFixture(headband, run, data) {
+    if (!registeredFixtures[headband]) {
+        registeredFixtures[headband] = {};
+    }
+    registeredFixtures[headband][run] = data;
+}
+
+function createNamedSource(sourceName, config) {
+    switch (sourceName) {
+        case 'static':
+            return createStaticSource(config.staticBaseUrl);
+        case 'fixture':
+            return createFixtureSource(registeredFixtures, config.fixturesUrl);
+        case 'remote':
+            return createRemoteSource(config.remoteUrl);
+        default:
+            console.warn(`Unknown data source "${sourceName}", falling back to remote`);
+            return createRemoteSource(config.remoteUrl);
+    }
+}
+
+// Sessions from the network are kept for offline use (see offline.js), unless cache is false,
+// as for live polling, which needs every new sample
+function getDataSource({ cache = true } = {}) {
+    const config = getDataSourceConfig();
+
+    // A URL param takes priority over the page config
+    const params = new URLSearchParams(window.location.search);
+    const source = createNamedSource(params.get('source') || config.source, config);
+
+    // Fixtures are in memory, or in a page file the service worker keeps
+    return cache && source.name !== 'fixture' ? withSessionCache(source) : source;
+}
+
+// Run a load, trying again after transient failures with exponential backoff.
+// onRetry(attempt, delayMs, error) is called before each wait, e.g. to tell the visitor.
+// Whatever error ends it gets the number of attempts made.
+async function withRetry(load, onRetry = () => {}) {
+    const config = getDataSourceConfig();
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await load();
+        } catch (error) {
+            const canRetry = error instanceof SessionFetchError && error.transient && attempt <= config.retries;
+            if (!canRetry) {
+                error.attempts = attempt;
+                throw error;
+            }
+
+            const delayMs = Math.min(config.retryDelayMs * 2 ** (attempt - 1), config.maxRetryDelayMs);
+            console.warn(`Attempt ${attempt} failed, retrying in ${delayMs}ms:`, error);
+            onRetry(attempt, delayMs, error);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+}
+
+// Fetch a session with withRetry; the error that ends it also names the source it came from
+async function fetchSessionWithRetry(dataSource, request, onRetry = () => {}) {
+    try {
+        return await withRetry(() => dataSource.fetchSession(request), onRetry);
+    } catch (error) {
+        error.source = dataSource.name;
+        throw error;
+    }
+}
+
+// Fetch one of the page's own files. Resolves to the response, so a 404 is left to the caller,
+// but no connection or a server error is a SessionUnavailableError and retried like a session.
+async function fetchPageFile(url) {
+    try {
+        return await withRetry(async () => {
+            let response;
+            try {
+                response = await fetch(url);
+            } catch (error) {
+                throw new SessionUnavailableError(`Could not reach ${url}: ${error.message}`);
+            }
+            if (isTransientStatus(response.status)) {
+                throw new SessionUnavailableError(`${url} answered ${response.status} ${response.statusText}`.trim(), response.status);
+            }
+            return response;
+        });
+    } catch (error) {
+        error.source = url;
+        throw error;
+    }
+}
@@ -0,0 +1,116 @@
+// What the results page shows when a session can't be displayed
+//
+// Each failure is sorted into a kind with its own message, so a visitor knows whether to wait, ask
+// for help or check their link:
+//   unavailable  the backend can't be reached, even after retrying
+//   notFound     no session for this headband and run, it may not be uploaded yet
+//   empty        the session exists but has no samples, the headband likely never recorded
+//   invalid      the payload is malformed, the problems are listed under the message
+//   badLink      the ?id= token can't be verified, the URL is left as it is so it can be tried again
+//   unknown      anything else
+// Venue staff can add ?debug=errors (or set window.brainwaveConfig.errors = { showDetails: true }
+// on an operator screen) to see the technical detail: error type, status, source and attempts.
+
+const defaultErrorsConfig = {
+    showDetails: false
+};
+
+// Message for each kind of failure
+const loadErrorMessages = {
+    unavailable: 'fortune.errorUnavailable',
+    notFound: 'fortune.errorNotFound',
+    empty: 'fortune.errorEmpty',
+    invalid: 'fortune.errorInvalid',
+    badLink: 'fortune.errorLink',
+    unknown: 'fortune.error'
+};
+
+function getErrorsConfig() {
+    const config = (window.brainwaveConfig && window.brainwaveConfig.errors) || {};
+    return { ...defaultErrorsConfig, ...config };
+}
+
+function isErrorDetailEnabled() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('debug') === 'errors' || getErrorsConfig().showDetails;
+}
+
+function getLoadErrorKind(error) {
+    if (error instanceof SessionTokenError) return 'badLink';
+    if (error instanceof EmptySessionError) return 'empty';
+    if (error instanceof SessionValidationError) return 'invalid';
+    if (error instanceof SessionNotFoundError) return 'notFound';
+    if (error instanceof SessionUnavailableError) return 'unavailable';
+    return 'unknown';
+}
+
+// Technical detail for operators, in the same { field, message } shape as validation issues
+function getLoadErrorDetails(error, kind, request) {
+    const details = [
+        { field: 'kind', message: kind },
+        { field: 'error', message: `${error.name}: ${error.message}` }
+    ];
+    if (error.status !== undefined && error.status !== null) {
+        details.push({ field: 'status', message: String(error.status) });
+    }
+    if (error.source) {
+        details.push({ field: 'source', message: error.source });
+    }
+    if (request) {
+        details.push({ field: 'session', message: `headband ${request.headband}, run ${request.run !== null && request.run !== undefined ? request.run : 'latest'}` });
+    }
+    if (error.attempts) {
+        details.push({ field: 'attempts', message: String(error.attempts) });
+    }
+    details.push({ field: 'time', message: new Date().toISOString() });
+    return details;
+}
+
+// Show a failure to load the session; request is the { headband, run } asked for, if any
+function showLoadError(error, request = null) {
+    const kind = getLoadErrorKind(error);
+
+    // The band and ML boxes have nothing to show
+    ['deltaBox', 'thetaBox', 'alphaBox', 'betaBox', 'gammaBox', 'focusBox', 'clearBox', 'meditationBox', 'dreamBox'].forEach(id => {
+        const box = document.getElementById(id);
+        if (box) box.textContent = 'X';
+    });
+
+    document.getElementById('fortuneMessage').textContent = t(loadErrorMessages[kind]);
+
+    // Say what's actually wrong with a recording, and everything else only to operators
+    const issues = error instanceof SessionValidationError ? [...error.issues] : [];
+    if (isErrorDetailEnabled()) {
+        issues.push(...getLoadErrorDetails(error, kind, request));
+    }
+    showSessionDiagnostics(issues);
+
+    const retryButton = document.getElementById('retryButton');
+    if (retryButton) retryButton.style.display = 'inline-block';
+
+    // Hide loading dots and still scale in the panel even on error
+    document.getElementById('loadingDots').style.display = 'none';
+    const dataPanel = document.getElementById('dataPanel');
+    dataPanel.style.opacity = '1';
+    dataPanel.style.transform = 'scale(1)';
+}
+
+// Tell the visitor we're still trying, while fetchSessionWithRetry waits
+function showLoadRetry(attempt) {
+    document.getElementById('fortuneMessage').textContent = t('loading.retrying', {
+        attempt: attempt + 1,
+        attempts: getDataSourceConfig().retries + 1
+    });
+}
+
+function retryLoad() {
+    document.getElementById('retryButton').style.display = 'none';
+    showSessionDiagnostics([]);
+    document.getElementById('loadingDots').style.display = 'block';
+    fetchBrainwaveData();
+}
+
+window.addEventListener('load', () => {
+    const retryButton = document.getElementById('retryButton');
+    if (retryButton) retryButton.addEventListener('click', retryLoad);
+});
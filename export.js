@@ -0,0 +1,113 @@
+// Downloadable data bundles (JSON + CSV) for the session currently on the page
+
+// Wall-clock time of each sample from the session's timeline, or null without a start time
+function getSampleTimestamps(timeline, numDataPoints) {
+    return Array.from({ length: numDataPoints }, (_, i) =>
+        timeline.startTime !== null ? timeline.startTime + getSampleOffset(timeline, i) : null
+    );
+}
+
+function buildSessionBundle(result) {
+    return {
+        format: 'eighth-dimension-session',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        id: result.id || null,
+        recordingFile: result.recordingFile || null,
+        headband: result.headband !== undefined ? result.headband : null,
+        run: result.run !== undefined ? result.run : null,
+        startTimestamp: result.timestamp ? new Date(result.timestamp).toISOString() : null,
+        sampleIntervalMs: SAMPLE_INTERVAL_MS,
+        durationMs: result.timeline.durationMs,
+        sampleTimes: result.sampleTimes ? result.sampleTimes.map(time => new Date(time).toISOString()) : null,
+        numDataPoints: result.numDataPoints,
+        rawDataArrays: result.rawDataArrays,
+        activeness: result.activenessArray,
+        mlAnalysis: result.mlAnalysis,
+        brainwaves: result.brainwaves,
+        baseline: result.baseline ? { source: result.baseline.source, sessions: result.baseline.sessions, mean: result.baseline.mean, sd: result.baseline.sd } : null,
+        percentages: result.percentages,
+        dominantPattern: result.dominantPattern,
+        arc: result.arc || null,
+        quality: result.quality ? { score: result.quality.score, level: result.quality.level, issues: result.quality.issues } : null,
+        fortune: result.fortune,
+        fortuneId: result.fortuneId
+    };
+}
+
+// One row per timestep: wall-clock time, elapsed seconds, the five bands and activeness
+function buildSessionCsv(result) {
+    const timestamps = getSampleTimestamps(result.timeline, result.numDataPoints);
+    const hasActiveness = result.activenessArray && result.activenessArray.length > 0;
+
+    const header = ['timestamp', 'elapsed_s', ...BAND_NAMES];
+    if (hasActiveness) header.push('activeness');
+
+    const rows = [header.join(',')];
+    for (let i = 0; i < result.numDataPoints; i++) {
+        const row = [
+            timestamps[i] !== null ? new Date(timestamps[i]).toISOString() : '',
+            getSampleOffset(result.timeline, i) / 1000,
+            ...BAND_NAMES.map(band => result.rawDataArrays[band][i])
+        ];
+        if (hasActiveness) {
+            const value = result.activenessArray[i];
+            row.push(value !== undefined ? value : '');
+        }
+        rows.push(row.join(','));
+    }
+    return rows.join('\n') + '\n';
+}
+
+// Named after where the session came from: its ?id=, the recording file or its headband and run
+function getExportFileName(result, extension) {
+    let name = 'session';
+    if (result.id) {
+        name = result.id;
+    } else if (result.recordingFile) {
+        name = result.recordingFile.replace(/\.[^.]*$/, '').replace(/[^\w-]+/g, '-');
+    } else if (result.headband !== undefined) {
+        name = `headband-${result.headband}-run-${result.run}`;
+    }
+    return `eighth-dimension-${name}.${extension}`;
+}
+
+function downloadFile(fileName, content, type) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportSession(format) {
+    if (!currentSessionResult) return;
+
+    if (format === 'csv') {
+        downloadFile(getExportFileName(currentSessionResult, 'csv'), buildSessionCsv(currentSessionResult), 'text/csv');
+    } else if (format === 'wav') {
+        exportSoundscape().catch(error => {
+            console.error('Error rendering soundscape:', error);
+            showSoundExportStatus('export.soundError');
+        });
+    } else {
+        const bundle = JSON.stringify(buildSessionBundle(currentSessionResult), null, 2);
+        downloadFile(getExportFileName(currentSessionResult, 'json'), bundle, 'application/json');
+    }
+}
+
+window.addEventListener('load', () => {
+    document.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            exportSession(button.dataset.export);
+        });
+    });
+});
@@ -0,0 +1,166 @@
+// Fortune catalogs and the engine that picks fortunes from them
+//
+// Catalogs are JSON files (see fortunes/en.json) so fortunes can be edited without touching code:
+//   { "id": "...", "locale": "en", "version": 2, "fortunes": [
+//       { "id": "alpha-active-01", "category": "alpha_active", "author": "...", "version": 1,
+//         "tags": ["alpha", "active"], "text": "..." }, ... ] }
+//
+// Each fortune's version is the catalog version it was added in. Fortunes from version 1 are picked
+// by position, exactly as before catalogs existed, so their order in the file is frozen: fix their
+// text in place, never reorder or remove them. Later fortunes are picked by id, so those can be
+// edited or dropped freely, and each new version only takes a fair share of sessions. Fortune ids
+// must never be reused.
+
+const defaultFortuneConfig = {
+    catalogUrl: './fortunes/en.json',
+    // ML states that go into the fortune seed along with the bands, e.g. all four with
+    // ['focus', 'clear', 'meditation', 'dream']. Changing this changes most sessions' fortunes.
+    mlSignals: ['meditation']
+};
+
+// The activeness states getActivenessState can return, plus 'generic' when there's no activeness data
+const ACTIVENESS_STATES = ['active', 'clear', 'meditation', 'generic'];
+
+let fortuneCatalog = null;
+let fortuneCatalogPromise = null;
+
+function getFortuneConfig() {
+    const config = (window.brainwaveConfig && window.brainwaveConfig.fortunes) || {};
+    return { ...defaultFortuneConfig, ...config };
+}
+
+// Every category getDominantPattern can produce
+function getFortuneCategories() {
+    const categories = [];
+    BAND_NAMES.forEach(band => {
+        ACTIVENESS_STATES.forEach(state => categories.push(`${band}_${state}`));
+    });
+    categories.push('balanced');
+    return categories;
+}
+
+function validateFortuneCatalog(catalog) {
+    const issues = [];
+    if (!catalog || !Array.isArray(catalog.fortunes)) {
+        return [{ field: 'fortunes', message: 'is missing or not a list' }];
+    }
+
+    const seenIds = new Set();
+    catalog.fortunes.forEach((fortune, index) => {
+        const field = fortune.id ? `fortune "${fortune.id}"` : `fortune #${index + 1}`;
+        ['id', 'category', 'text'].forEach(key => {
+            if (typeof fortune[key] !== 'string' || fortune[key].trim() === '') {
+                issues.push({ field, message: `has no ${key}` });
+            }
+        });
+        if (!Number.isInteger(fortune.version) || fortune.version < 1) {
+            issues.push({ field, message: 'needs a whole-number version of at least 1' });
+        }
+        if (fortune.tags !== undefined && !Array.isArray(fortune.tags)) {
+            issues.push({ field, message: 'has tags that are not a list' });
+        }
+        if (fortune.id && seenIds.has(fortune.id)) {
+            issues.push({ field, message: 'has a duplicate id' });
+        }
+        seenIds.add(fortune.id);
+    });
+
+    getFortuneCategories().forEach(category => {
+        if (!catalog.fortunes.some(fortune => fortune.category === category)) {
+            issues.push({ field: `category "${category}"`, message: 'has no fortunes' });
+        }
+    });
+
+    return issues;
+}
+
+async function loadFortuneCatalog(url) {
+    const response = await fetchPageFile(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load fortune catalog ${url}`);
+    }
+
+    const catalog = await response.json();
+    const issues = validateFortuneCatalog(catalog);
+    // Problems are logged rather than fatal, missing categories fall back to balanced fortunes
+    issues.forEach(issue => console.error(`Fortune catalog ${url}: ${issue.field} ${issue.message}`));
+    if (!catalog.fortunes || !catalog.fortunes.some(fortune => fortune.category === 'balanced')) {
+        throw new Error(`Fortune catalog ${url} has no balanced fortunes to fall back on`);
+    }
+
+    return catalog;
+}
+
+// Load the configured catalog once, later calls share the same promise until it fails
+function ensureFortuneCatalog() {
+    if (!fortuneCatalogPromise) {
+        const unknownSignals = getFortuneConfig().mlSignals.filter(state => !ML_STATES.includes(state));
+        if (unknownSignals.length > 0) {
+            console.error(`Fortune config: ignoring unknown mlSignals ${unknownSignals.join(', ')}`);
+        }
+        fortuneCatalogPromise = loadFortuneCatalog(getFortuneConfig().catalogUrl).then(catalog => {
+            fortuneCatalog = catalog;
+            return catalog;
+        }).catch(error => {
+            // Not cached, so trying again (say, from the retry button) fetches it again
+            fortuneCatalogPromise = null;
+            throw error;
+        });
+    }
+    return fortuneCatalogPromise;
+}
+
+function getFortunesInCategory(category) {
+    const entries = fortuneCatalog.fortunes.filter(fortune => fortune.category === category);
+    return entries.length > 0 ? entries : fortuneCatalog.fortunes.filter(fortune => fortune.category === 'balanced');
+}
+
+// Deterministic number in [0, 1) from a seed and some salt
+function hashToUnit(...parts) {
+    const text = parts.join(':');
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    return (h1 >>> 0) / 4294967296;
+}
+
+// Pick a fortune for a seed so that existing sessions keep the fortune they had:
+// version 1 fortunes by seed % count, the same as before catalogs existed, and each later version
+// then takes over a fair share of seeds, choosing among its fortunes by their highest
+// hashToUnit(seed, id) (rendezvous hashing) so only a removed fortune's sessions move.
+function pickStableFortune(entries, seed) {
+    const firstPool = entries.filter(fortune => fortune.version === 1);
+    let chosen = firstPool.length > 0
+        ? firstPool[((seed % firstPool.length) + firstPool.length) % firstPool.length]
+        : null;
+    let count = firstPool.length;
+
+    const laterVersions = [...new Set(entries.map(fortune => fortune.version))].filter(version => version > 1).sort((a, b) => a - b);
+    laterVersions.forEach(version => {
+        const added = entries.filter(fortune => fortune.version === version);
+        count += added.length;
+        if (hashToUnit(seed, version) < added.length / count) {
+            chosen = pickByRendezvous(added, seed);
+        }
+    });
+
+    return chosen;
+}
+
+function pickByRendezvous(entries, seed) {
+    let chosen = null;
+    let best = -1;
+    entries.forEach(fortune => {
+        const score = hashToUnit(seed, fortune.id);
+        if (score > best) {
+            chosen = fortune;
+            best = score;
+        }
+    });
+    return chosen;
+}
@@ -0,0 +1,155 @@
+// Session history: the results this browser has viewed, and the gallery page that lists them
+//
+// Each viewed ?id= is remembered in localStorage, newest first, so visitors don't have to keep
+// their links. Entries hold just enough to show the result again without fetching it:
+//   { id: 'NDd4MTIxMQ', startTimestamp: 1769650200000, viewedAt: 1769653800000,
+//     dominantPattern: 'alpha_meditation', fortune: '...', fortuneId: 'alpha-meditation-03',
+//     brainwaves: { delta: 0.3, ... }, signalSeed: '...' }
+// brainwaves and signalSeed redraw the session's wave glyphs (see synthesis.js) as thumbnails.
+// history.html is the gallery, with options to clear the history or export it as JSON.
+//
+//   window.brainwaveConfig = { history: { enabled: false } };
+
+const defaultHistoryConfig = {
+    enabled: true,
+    maxEntries: 100
+};
+
+const HISTORY_STORAGE_KEY = 'eighth-dimension-history';
+
+function getHistoryConfig() {
+    const config = (window.brainwaveConfig && window.brainwaveConfig.history) || {};
+    return { ...defaultHistoryConfig, ...config };
+}
+
+function readSessionHistory() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]');
+        return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+        console.warn('Could not read the session history:', error);
+        return [];
+    }
+}
+
+function writeSessionHistory(entries) {
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(entries));
+    } catch (error) {
+        // Private browsing or a full quota, the page works the same without history
+        console.warn('Could not save the session history:', error);
+    }
+}
+
+// Remember a displayed session under its id, moving it to the top if it's already there.
+// Never throws: the session is already on the page, and history is only a convenience.
+function recordSessionView(result) {
+    const config = getHistoryConfig();
+    if (!config.enabled || !result.id) return;
+
+    try {
+        const entry = {
+            id: result.id,
+            startTimestamp: result.timestamp || null,
+            viewedAt: Date.now(),
+            dominantPattern: result.dominantPattern,
+            fortune: result.fortune,
+            fortuneId: result.fortuneId,
+            brainwaves: result.brainwaves,
+            signalSeed: getSignalSeed(result.timestamp, result.rawDataArrays)
+        };
+        const others = readSessionHistory().filter(other => other.id !== entry.id);
+        writeSessionHistory([entry, ...others].slice(0, config.maxEntries));
+    } catch (error) {
+        console.warn('Could not record the session in the history:', error);
+    }
+}
+
+function clearSessionHistory() {
+    try {
+        localStorage.removeItem(HISTORY_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not clear the session history:', error);
+    }
+}
+
+function exportSessionHistory() {
+    const bundle = {
+        format: 'eighth-dimension-history',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        sessions: readSessionHistory()
+    };
+    downloadFile('eighth-dimension-history.json', JSON.stringify(bundle, null, 2), 'application/json');
+}
+
+// Gallery page
+
+// The five wave glyphs of a session side by side, frozen at its average band powers
+function createHistoryThumbnail(entry) {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const model = createSignalModel(Object.fromEntries(BAND_NAMES.map(band => [band, []])), entry.brainwaves, entry.signalSeed);
+    const peakBand = entry.dominantPattern.split('_')[0];
+
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('class', 'history-thumbnail');
+    svg.setAttribute('viewBox', `0 0 ${BAND_NAMES.length * 80} 60`);
+    svg.setAttribute('aria-hidden', 'true');
+    BAND_NAMES.forEach((band, i) => {
+        const path = document.createElementNS(svgNs, 'path');
+        path.setAttribute('d', renderBandSignalPath(model, band));
+        path.setAttribute('transform', `translate(${i * 80}, 0)`);
+        path.style.stroke = `oklch(var(--text-lightness) var(--text-chroma) ${bandHues[band]})`;
+        path.setAttribute('stroke-width', band === peakBand ? '2.5' : '1.5');
+        path.setAttribute('fill', 'none');
+        svg.appendChild(path);
+    });
+    return svg;
+}
+
+function createHistoryCard(entry) {
+    const card = document.createElement('a');
+    card.className = 'history-card';
+    card.href = `./?id=${encodeURIComponent(entry.id)}`;
+
+    const date = document.createElement('div');
+    date.className = 'history-date';
+    date.textContent = entry.startTimestamp ? formatTimestamp(entry.startTimestamp) : t('history.unknownDate');
+
+    const pattern = document.createElement('div');
+    pattern.className = 'history-pattern';
+    pattern.textContent = formatPatternName(entry.dominantPattern);
+
+    const fortune = document.createElement('p');
+    fortune.className = 'history-fortune';
+    fortune.textContent = entry.fortune;
+
+    card.append(createHistoryThumbnail(entry), date, pattern, fortune);
+    return card;
+}
+
+function renderSessionHistory() {
+    const gallery = document.getElementById('historyGallery');
+    const entries = readSessionHistory().filter(entry => entry && entry.id && entry.brainwaves && entry.dominantPattern);
+
+    gallery.innerHTML = '';
+    entries.forEach(entry => gallery.appendChild(createHistoryCard(entry)));
+
+    document.getElementById('historyEmpty').style.display = entries.length === 0 ? 'block' : 'none';
+    document.getElementById('historyActions').style.display = entries.length === 0 ? 'none' : 'flex';
+}
+
+window.addEventListener('load', () => {
+    if (!document.getElementById('historyGallery')) return;
+
+    ensureLocale().then(() => {
+        renderSessionHistory();
+
+        document.getElementById('historyExport').addEventListener('click', exportSessionHistory);
+        document.getElementById('historyClear').addEventListener('click', () => {
+            if (!window.confirm(t('history.clearConfirm'))) return;
+            clearSessionHistory();
+            renderSessionHistory();
+        });
+    });
+});
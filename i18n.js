@@ -0,0 +1,342 @@
+// Localization: UI messages, translated fortunes and locale-aware number/date formatting
+//
+// The locale comes from the `lang` URL param, then the browser's languages, then English.
+// Translations live in locales/<lang>.json (UI messages) and fortunes/<lang>.json (fortune texts by id).
+// Fortunes are always picked from the base catalog and then translated by id, so the same session
+// shows the same fortune in every language. Anything missing from a translation falls back to English.
+//
+// Elements with data-i18n="key" get their text replaced, data-i18n-html="key" their HTML
+// and data-i18n-aria-label="key" their aria-label.
+
+const SUPPORTED_LOCALES = ['en', 'es'];
+
+// Intl locale used for dates and numbers in each supported language
+const intlLocales = { en: 'en-US', es: 'es-ES' };
+
+const defaultMessages = {
+    'loading.finding': 'Finding your fortune...',
+    'loading.connecting': 'Connecting to the cosmos...',
+    'loading.retrying': 'The cosmos is slow to answer, trying again ({attempt} of {attempts})...',
+
+    'fortune.subtitle': 'Personalized fortune message generated from the attributes of your unique brainwave data',
+    'fortune.subtitleRandom': 'Personalized fortune message generated randomly',
+    'fortune.example': 'See an example with real brainwaves!',
+    'fortune.error': 'Unable to read brainwaves. The universe is cloudy today.',
+    'fortune.errorInvalid': 'Unable to read brainwaves. This recording is incomplete or corrupted.',
+    'fortune.errorUnavailable': 'Unable to reach your brainwaves right now. Please try again in a moment.',
+    'fortune.errorNotFound': 'We could not find this session. It may still be on its way, so try again shortly.',
+    'fortune.errorEmpty': 'This session has no brainwave readings. The headband may not have been recording.',
+    'fortune.errorLink': 'This link could not be read. Check that it was copied in full, or try again in a moment.',
+    'fortune.retry': 'Try again',
+    'fortune.live': 'Listening to your brainwaves live...',
+    'fortune.liveWaiting': 'Waiting for the session to begin...',
+
+    'brainwaves.title': 'Your Brainwave Frequencies',
+    'brainwaves.subtitle': 'Prominence of each type of brainwave frequency in your data relative to an average baseline',
+    'brainwaves.subtitleHeadband': 'Prominence of each type of brainwave frequency in your data relative to the average for Headband {headband}',
+    'brainwaves.signal': 'Your brain signal, synthesized from the strength of each frequency band as your session unfolds',
+    'band.delta': 'Delta',
+    'band.theta': 'Theta',
+    'band.alpha': 'Alpha',
+    'band.beta': 'Beta',
+    'band.gamma': 'Gamma',
+    'band.delta.description': '<b>Unconscious mind:</b> dreamlike states, mental rejuvenation (0.5-4 Hz)',
+    'band.theta.description': '<b>Subconscious mind:</b> intuition, creativity, deep meditation (4-8 Hz)',
+    'band.alpha.description': '<b>Calm mind:</b> gentle relaxation, clarity, meditation (8-12 Hz)',
+    'band.beta.description': '<b>Active mind:</b> focus, awareness, problem-solving (12-30 Hz)',
+    'band.gamma.description': '<b>Heightened mind:</b> making connections, insight (30-100 Hz)',
+    'peak.label': '<strong>Peak frequency</strong>: this type of brainwave frequency was the most prominent in your data',
+    'peak.short': 'Peak frequency',
+
+    'playback.play': 'Play',
+    'playback.pause': 'Pause',
+    'playback.scrub': 'Session timeline',
+    'playback.speed': 'Playback speed',
+    'playback.overview': 'Whole session',
+    'playback.time': '{elapsed} of {total}',
+    'sound.on': 'Sound on',
+    'sound.off': 'Sound off',
+
+    'graph.brainwaves.title': 'Your Brainwave Frequencies Over Time',
+    'graph.warning': 'Note: a long straight line indicates poor connection, when only averages are sent instead of second-to-second data.',
+    'graph.activeness.title': 'Your Mind During the Experience',
+    'graph.activeness.subtitle': 'Based on live analysis of your brainwaves',
+    'quality.summary': 'Signal quality {score} ({level})',
+    'quality.level.good': 'good',
+    'quality.level.fair': 'fair',
+    'quality.level.poor': 'poor',
+    'quality.dropout': 'Dropouts: {count}',
+    'quality.flatline': 'Flat stretches: {count}',
+    'quality.spike': 'Spikes: {count}',
+    'quality.burst': 'Blink or movement bursts: {count}',
+    'quality.excluded': 'Marked moments are left out of your results.',
+    'diagnostics.dropouts': 'Dropouts in {band}: {count}',
+    'diagnostics.noActiveness': 'No activeness was recorded, so the fortune can only be a general one.',
+    'diagnostics.activenessLength': 'Activeness samples: {count} of {expected}',
+    'diagnostics.noStartTime': 'The start time was not recorded.',
+    'arc.phase.settling': 'Settling in',
+    'arc.phase.deepest': 'Deepest calm',
+    'arc.phase.emerging': 'Re-emerging',
+    'arc.moment.meditation': 'Longest meditation',
+    'arc.moment.alphaSurge': 'Alpha surge',
+    'arc.deepest': 'You reached your deepest calm at {time} and stayed there for {duration}.',
+    'arc.meditation': 'Your longest meditative stretch lasted {duration}.',
+    'arc.alphaSurge': 'Your alpha waves surged around {time}.',
+    'summary.title': 'About Your Session',
+    'summary.root.1': '#opening# #bands.{bandShape}# #states.{stateShape}#',
+    'summary.root.2': '#opening# #states.{stateShape}# #bands.{bandShape}#',
+    'summary.opening.1': 'Your session lasted {duration}.',
+    'summary.opening.2': 'We listened to your brainwaves for {duration}.',
+    'summary.opening.3': 'Over {duration}, your brainwaves had a story to tell.',
+    'summary.bands.dominant.1': '{dominant} waves led the way at {dominantShare}, followed by {second} at {secondShare}.',
+    'summary.bands.dominant.2': 'Your mind leaned toward {dominant}, which made up {dominantShare} of your activity, with {second} next at {secondShare}.',
+    'summary.bands.dominant.3': 'Above all it was a {dominant} session: {dominantShare}, ahead of {second} at {secondShare}.',
+    'summary.bands.balanced.1': 'No single band took over: the strongest were {dominant} at {dominantShare} and {second} at {secondShare}.',
+    'summary.bands.balanced.2': 'Your bands stayed in balance, with {dominant} at {dominantShare} and {second} at {secondShare} in front.',
+    'summary.states.active.1': 'You were active for most of it, {activeTime} in all, with {clearTime} clear and {meditationTime} in meditation.',
+    'summary.states.active.2': 'Your mind stayed busy: {activeTime} active, against {clearTime} clear and {meditationTime} in meditation.',
+    'summary.states.clear.1': 'Most of it was spent with a clear head, {clearTime} in all, along with {activeTime} active and {meditationTime} in meditation.',
+    'summary.states.clear.2': 'You held a clear, steady state for {clearTime}, with {activeTime} active and {meditationTime} in meditation.',
+    'summary.states.meditation.1': 'You spent {meditationTime} in meditation, most of the session, with {clearTime} clear and {activeTime} active.',
+    'summary.states.meditation.2': 'Calm won out: {meditationTime} in meditation, against {clearTime} clear and {activeTime} active.',
+    'summary.states.generic.1': 'Your time was spread out, with {activeTime} active, {clearTime} clear and {meditationTime} in meditation.',
+    'summary.states.generic.2': 'You moved between states: {activeTime} active, {clearTime} clear and {meditationTime} in meditation.',
+    'summary.states.none.1': 'There was no activeness reading to tell how calm or active you were.',
+    'activeness.label': 'Activeness',
+    'activeness.active': 'Active',
+    'activeness.calm': 'Calm',
+    'activeness.deepest': 'Deepest<br>Meditation',
+    'ml.title': 'Your Mental States',
+    'ml.subtitle': 'Share of each state your headband detected, across the whole session',
+    'ml.stacked': 'Which state held your session, moment by moment',
+    'ml.dream': 'Dream',
+    'ml.dream.description': 'Deep sleep or trance',
+    'ml.clear': 'Clear',
+    'ml.clear.description': 'Relaxed awareness',
+    'ml.focus': 'Focus',
+    'ml.focus.description': 'Alert awareness',
+    'ml.meditation': 'Meditation',
+    'ml.meditation.description': 'True meditation',
+
+    'time.seconds': '{seconds}s',
+    'time.minutes': '{minutes}m',
+    'time.minutesSeconds': '{minutes}m {seconds}s',
+    'time.withClock': '{elapsed} · {clock}',
+
+    'footer.title': 'The Eighth Dimension: Where the Mind Meets the Ocean',
+    'footer.range': 'on {date} at {time} ({duration})',
+    'footer.rangeWithHeadband': 'from Headband {headband} on {date} at {time} ({duration})',
+    'footer.anonymized': 'Anonymized brainwave data {range}',
+    'footer.live': 'Live brainwave data {range}',
+    'footer.fortuneGenerated': 'Fortune generated on {date}',
+    'footer.recording': 'Brainwave data from {file}',
+    'footer.recordingRecorded': 'Brainwave data from {file} recorded {date}',
+
+    'export.data': 'Download your data:',
+    'export.card': 'Download your fortune card:',
+    'export.sound': 'Download your soundscape:',
+    'export.square': 'Square',
+    'export.story': 'Story',
+    'export.rendering': 'Rendering...',
+    'export.soundError': 'The soundscape could not be rendered on this device.',
+    'recording.open': 'View your own recording (Muse, Mind Monitor or OpenBCI CSV)',
+    'recording.error': 'Unable to read this recording file.',
+
+    'card.title': 'The Eighth Dimension',
+    'card.date': 'Brainwaves {range}',
+
+    'compare.title': 'Comparing Your Sessions',
+    'compare.session': 'Session {letter}',
+    'compare.headband': 'Headband {headband}',
+    'compare.run': 'run {run}',
+    'compare.versus': '{session} vs A',
+    'compare.dominantPattern': 'Dominant pattern',
+    'compare.brainwaves': '{session} brainwave frequencies',
+    'compare.activeness': 'Activeness (higher is more active)',
+    'compare.error': 'Unable to load the sessions to compare with.',
+
+    'history.title': 'Your Past Results',
+    'history.subtitle': 'Sessions you have viewed in this browser, kept only on this device',
+    'history.empty': 'No results yet. Sessions you view will appear here.',
+    'history.link': 'Your past results',
+    'history.back': 'Back to the Eighth Dimension',
+    'history.export': 'Export history',
+    'history.clear': 'Clear history',
+    'history.clearConfirm': 'Forget every result in this browser? This cannot be undone.',
+    'history.unknownDate': 'Date unknown',
+
+    'analysis.title': 'Analysis profile: {profile}',
+    'analysis.field.weightingPower': 'Band weighting power',
+    'analysis.field.dominantCutoff': 'Dominant band cutoff',
+    'analysis.field.bandCenter': '{band} center (Hz)',
+    'analysis.field.activeFrom': 'Active from',
+    'analysis.field.clearFrom': 'Clear from',
+    'analysis.field.dominantShare': 'Share for a state',
+    'analysis.current': 'Current',
+    'analysis.draft': 'With these values',
+    'analysis.pattern': 'Dominant pattern',
+    'analysis.state': 'Activeness state',
+    'analysis.state.active': 'Active',
+    'analysis.state.clear': 'Clear',
+    'analysis.state.meditation': 'Meditation',
+    'analysis.state.generic': 'Mixed',
+    'analysis.none': 'No activeness data',
+    'analysis.invalid': 'These values are not usable: {issues}',
+    'analysis.noSession': 'Load a session to see what these values change.',
+    'analysis.reset': 'Reset',
+    'analysis.download': 'Download profile'
+};
+
+let currentLocale = 'en';
+let localeMessages = {};
+let fortuneTranslations = {};
+let localePromise = null;
+
+// Match a requested language like "es-MX" against the supported locales
+function matchSupportedLocale(language) {
+    if (!language) return null;
+    const lower = language.toLowerCase();
+    if (SUPPORTED_LOCALES.includes(lower)) return lower;
+    const base = lower.split('-')[0];
+    return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+function detectLocale() {
+    const params = new URLSearchParams(window.location.search);
+    const requested = matchSupportedLocale(params.get('lang'));
+    if (requested) return requested;
+
+    const browserLanguages = navigator.languages || [navigator.language];
+    for (const language of browserLanguages) {
+        const match = matchSupportedLocale(language);
+        if (match) return match;
+    }
+    return 'en';
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+function getIntlLocale() {
+    return intlLocales[currentLocale] || 'en-US';
+}
+
+// Look up a message and fill in {placeholders}
+function t(key, params = {}) {
+    const template = localeMessages[key] !== undefined ? localeMessages[key] : defaultMessages[key];
+    if (template === undefined) {
+        console.warn(`Missing message "${key}"`);
+        return key;
+    }
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+function formatPercent(value, fractionDigits = 0) {
+    return new Intl.NumberFormat(getIntlLocale(), {
+        style: 'percent',
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    }).format(value);
+}
+
+function formatNumber(value, fractionDigits = 0) {
+    return new Intl.NumberFormat(getIntlLocale(), {
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    }).format(value);
+}
+
+// Elapsed time like "3m 20s", in minutes once the whole span is a minute or longer
+function formatElapsed(totalSeconds, showMinutes) {
+    if (!showMinutes) {
+        return t('time.seconds', { seconds: totalSeconds });
+    }
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return seconds === 0 ? t('time.minutes', { minutes }) : t('time.minutesSeconds', { minutes, seconds });
+}
+
+function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    return date.toLocaleString(getIntlLocale(), {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// A dominant pattern like "alpha_meditation" as "Alpha / Meditation"
+function formatPatternName(pattern) {
+    return pattern.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' / ');
+}
+
+// The text of a fortune in the current language, falling back to the catalog's own text
+function getLocalizedFortuneText(entry) {
+    return fortuneTranslations[entry.id] || entry.text;
+}
+
+// Keys of a message's numbered variants (key.1, key.2, ...), from the current language if it has
+// any, otherwise from English, so one paragraph never mixes the two
+function getMessageVariants(key) {
+    const messages = localeMessages[`${key}.1`] !== undefined ? localeMessages : defaultMessages;
+    const variants = [];
+    while (messages[`${key}.${variants.length + 1}`] !== undefined) {
+        variants.push(`${key}.${variants.length + 1}`);
+    }
+    return variants;
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}`);
+    }
+    return await response.json();
+}
+
+async function loadLocale(locale) {
+    currentLocale = locale;
+    localeMessages = {};
+    fortuneTranslations = {};
+    document.documentElement.lang = locale;
+
+    // English is built in, other languages need their message and fortune files
+    if (locale === 'en') return;
+
+    try {
+        localeMessages = await fetchJson(`./locales/${locale}.json`);
+    } catch (error) {
+        console.error(`Failed to load messages for "${locale}", using English:`, error);
+    }
+
+    try {
+        const catalog = await fetchJson(`./fortunes/${locale}.json`);
+        catalog.fortunes.forEach(fortune => { fortuneTranslations[fortune.id] = fortune.text; });
+    } catch (error) {
+        console.error(`Failed to load fortunes for "${locale}", using English:`, error);
+    }
+}
+
+// Replace the static page text with the current locale's messages
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+}
+
+// Detect and load the locale once, later calls share the same promise
+function ensureLocale() {
+    if (!localePromise) {
+        localePromise = loadLocale(detectLocale()).then(() => applyTranslations());
+    }
+    return localePromise;
+}
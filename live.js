@@ -0,0 +1,305 @@
+// Live mode for the operator screen: charts grow while a session is still being recorded
+//
+// Turn it on with ?live (polls the data source) or ?live=sse / ?live=websocket for a push stream.
+// Stream URLs come from window.brainwaveConfig.live.streamUrl, with {headband} and {run} filled in:
+//
+//   window.brainwaveConfig = { live: { streamUrl: 'http://localhost:8080/live/{headband}', pollIntervalMs: 2000 } };
+//
+// Push streams send JSON messages, either one sample or a batch. Samples can carry their own
+// timestamp, otherwise they're assumed to follow the previous one by SAMPLE_INTERVAL_MS:
+//   { "delta": 1.2, "theta": 0.8, "alpha": 0.9, "beta": 0.4, "gamma": 0.1, "activeness": 0.5, "timestamp": "2026-01-28T19:30:02Z" }
+//   { "points": [ { ... }, { ... } ], "start_timestamp": "2026-01-28T19:30:00Z" }
+// SSE streams can send an "end" event (and WebSockets can close) when the session is over. Polling
+// takes a session to be over once nothing new has come in for pollEndAfterMs. Either way the
+// finished session is then shown with its fortune; for polling that's the last full payload, so
+// activeness values that came in after their band samples are included there.
+
+const defaultLiveConfig = {
+    pollIntervalMs: SAMPLE_INTERVAL_MS,
+    pollEndAfterMs: 60000,
+    streamUrl: null
+};
+
+let liveStream = null;
+
+function getLiveConfig() {
+    const config = (window.brainwaveConfig && window.brainwaveConfig.live) || {};
+    return { ...defaultLiveConfig, ...config };
+}
+
+// Returns 'poll', 'sse', 'websocket', or null when live mode is off
+function getLiveMode() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('live')) return null;
+    const mode = params.get('live');
+    return ['sse', 'websocket'].includes(mode) ? mode : 'poll';
+}
+
+function getLiveStreamUrl(template, headband, run) {
+    return template
+        .replace('{headband}', encodeURIComponent(headband))
+        .replace('{run}', encodeURIComponent(run !== null && run !== undefined ? run : ''));
+}
+
+// Turn a message from a push stream into { points, startTimestamp }
+function parseLiveMessage(message) {
+    const data = typeof message === 'string' ? JSON.parse(message) : message;
+    const points = Array.isArray(data.points) ? data.points : [data];
+    const startTimestamp = data.start_timestamp ? new Date(data.start_timestamp).getTime() : null;
+
+    return {
+        startTimestamp,
+        points: points
+            .filter(point => BAND_NAMES.every(band => Number.isFinite(point[band])))
+            .map(point => {
+                const time = point.timestamp !== undefined && point.timestamp !== null ? new Date(point.timestamp).getTime() : NaN;
+                return {
+                    bands: Object.fromEntries(BAND_NAMES.map(band => [band, point[band]])),
+                    activeness: Number.isFinite(point.activeness) ? point.activeness : null,
+                    time: Number.isNaN(time) ? null : time
+                };
+            })
+    };
+}
+
+// Polls the data source and emits only the samples that weren't there last time. Once samples
+// have arrived and then nothing changes for endAfterMs, the session is over and onEnd gets the
+// last parsed session.
+function createPollingStream(dataSource, { headband, run }, intervalMs, endAfterMs) {
+    let timer = null;
+    let knownLength = 0;
+    let knownActivenessLength = 0;
+    let lastSession = null;
+    let lastChangeTime = Date.now();
+    // A poll can still be waiting on the network when stop() is called
+    let stopped = false;
+
+    return {
+        start(onData, onEnd) {
+            const poll = async () => {
+                try {
+                    const payload = await dataSource.fetchSession({ headband, run });
+                    if (stopped) return;
+                    const session = parseSessionPayload(payload);
+                    const prepared = prepareSession(session);
+
+                    if (prepared.numDataPoints > knownLength || prepared.activenessArray.length > knownActivenessLength) {
+                        lastChangeTime = Date.now();
+                    }
+                    knownActivenessLength = Math.max(knownActivenessLength, prepared.activenessArray.length);
+                    if (prepared.numDataPoints > 0) lastSession = session;
+
+                    const points = [];
+                    for (let i = knownLength; i < prepared.numDataPoints; i++) {
+                        points.push({
+                            bands: Object.fromEntries(BAND_NAMES.map(band => [band, prepared.rawDataArrays[band][i]])),
+                            activeness: i < prepared.activenessArray.length ? prepared.activenessArray[i] : null,
+                            time: prepared.sampleTimes ? prepared.sampleTimes[i] : null
+                        });
+                    }
+                    knownLength = Math.max(knownLength, prepared.numDataPoints);
+
+                    if (points.length > 0) {
+                        onData({ points, startTimestamp: prepared.timestamp, run: prepared.run });
+                    }
+
+                    if (lastSession && Date.now() - lastChangeTime >= endAfterMs) {
+                        stopped = true;
+                        onEnd(lastSession);
+                        return;
+                    }
+                } catch (error) {
+                    // Keep polling, the session may simply not have started yet
+                    console.warn('Live poll failed:', error);
+                }
+                if (!stopped) {
+                    timer = setTimeout(poll, intervalMs);
+                }
+            };
+            poll();
+        },
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+        }
+    };
+}
+
+// Message handler for a push stream; a malformed frame is logged and dropped, not thrown
+function createLiveMessageHandler(onData) {
+    return (event) => {
+        let update;
+        try {
+            update = parseLiveMessage(event.data);
+        } catch (error) {
+            console.warn('Ignoring malformed live message:', error);
+            return;
+        }
+        onData(update);
+    };
+}
+
+function createEventSourceStream(url) {
+    let source = null;
+
+    return {
+        start(onData, onEnd) {
+            source = new EventSource(url);
+            source.onmessage = createLiveMessageHandler(onData);
+            source.addEventListener('end', () => {
+                source.close();
+                onEnd();
+            });
+            source.onerror = (error) => console.warn('Live stream error:', error);
+        },
+        stop() {
+            if (source) source.close();
+        }
+    };
+}
+
+function createWebSocketStream(url) {
+    let socket = null;
+
+    return {
+        start(onData, onEnd) {
+            socket = new WebSocket(url);
+            socket.onmessage = createLiveMessageHandler(onData);
+            socket.onclose = () => onEnd();
+            socket.onerror = (error) => console.warn('Live stream error:', error);
+        },
+        stop() {
+            if (socket) socket.close();
+        }
+    };
+}
+
+function createLiveStream(mode, urlParams) {
+    const config = getLiveConfig();
+
+    if (mode !== 'poll') {
+        if (!config.streamUrl) {
+            throw new Error(`Live mode "${mode}" needs brainwaveConfig.live.streamUrl`);
+        }
+        const url = getLiveStreamUrl(config.streamUrl, urlParams.headband, urlParams.run);
+        return mode === 'sse' ? createEventSourceStream(url) : createWebSocketStream(url);
+    }
+
+    return createPollingStream(getDataSource({ cache: false }), urlParams, config.pollIntervalMs, config.pollEndAfterMs);
+}
+
+// Stretch a chart's time axis to the grown timeline
+function setChartTimeline(chart, timeline) {
+    chart.timeline = timeline;
+    chart.options.scales.x.max = createTimelineScale(timeline).max;
+}
+
+// Redraw the charts with the new samples without recreating them
+function appendToBrainwaveChart(live) {
+    if (!brainwaveChart) return;
+
+    const series = getLogBrainwaveSeries(live.rawDataArrays);
+    brainwaveChart.data.datasets.forEach(dataset => {
+        dataset.data = toTimelinePoints(series[dataset.band], live.timeline);
+    });
+    setChartTimeline(brainwaveChart, live.timeline);
+    brainwaveChart.update('none');
+}
+
+function appendToActivenessChart(live) {
+    if (!activenessChart) {
+        // First activeness values of the session
+        createActivenessChart(live.activenessArray, live.timeline);
+        document.querySelectorAll('.graph-section')[1].style.display = 'block';
+        return;
+    }
+    activenessChart.data.datasets[0].data = toTimelinePoints(live.activenessArray, live.timeline);
+    setChartTimeline(activenessChart, live.timeline);
+    activenessChart.update('none');
+}
+
+function addLivePoints(live, update) {
+    const isFirstBatch = live.numDataPoints === 0;
+    if (update.startTimestamp) live.timestamp = update.startTimestamp;
+    if (update.run) live.run = update.run;
+
+    // No samples to show, e.g. a keep-alive or a point with a band missing
+    if (update.points.length === 0) return;
+
+    update.points.forEach(point => {
+        BAND_NAMES.forEach(band => live.rawDataArrays[band].push(point.bands[band]));
+        if (point.activeness !== null) live.activenessArray.push(point.activeness);
+        live.sampleTimes.push(point.time);
+    });
+    live.numDataPoints = live.rawDataArrays.alpha.length;
+    live.timeline = createTimeline(live.sampleTimes, live.timestamp, live.numDataPoints);
+
+    const rawBrainwaves = Object.fromEntries(BAND_NAMES.map(band => [band, calculateAverage(live.rawDataArrays[band])]));
+    live.brainwaves = normalizeBrainwaves(rawBrainwaves);
+
+    if (isFirstBatch) {
+        // Build the charts and page once, then only append
+        updateBrainwaveDisplay(live.brainwaves, live.mlAnalysis, live.timestamp, live.numDataPoints, live.headband, live.rawDataArrays, live.activenessArray, live.timeline, live.baseline);
+        document.getElementById('fortuneMessage').textContent = t('fortune.live');
+    } else {
+        appendToBrainwaveChart(live);
+        if (live.activenessArray.length > 0) {
+            appendToActivenessChart(live);
+        }
+
+        // Recompute the session-so-far percentages and peak frequency
+        updateBrainwaveBoxes(getBandProminence(live.brainwaves, live.baseline));
+        highlightPeakFrequency(getDominantPattern(live.brainwaves, live.mlAnalysis, live.activenessArray, live.baseline));
+    }
+
+    // Keep the wave glyphs on the newest sample while the session is still being recorded
+    playSessionSignal(createSignalModel(live.rawDataArrays, live.brainwaves, getSignalSeed(live.timestamp, live.rawDataArrays)), { followLatest: true });
+
+    if (live.timestamp) {
+        document.getElementById('timestamp').textContent = t('footer.live', { range: formatTimestampRange(live.timestamp, live.timeline.durationMs, live.headband) });
+    }
+}
+
+async function startLiveSession(urlParams, mode) {
+    const live = {
+        headband: urlParams.headband,
+        run: urlParams.run,
+        timestamp: null,
+        numDataPoints: 0,
+        sampleTimes: [],
+        timeline: null,
+        baseline: getBaselineFor(urlParams.headband),
+        rawDataArrays: Object.fromEntries(BAND_NAMES.map(band => [band, []])),
+        activenessArray: [],
+        mlAnalysis: Object.fromEntries(ML_STATES.map(state => [state, null])),
+        brainwaves: null
+    };
+
+    document.getElementById('fortuneMessage').textContent = t('fortune.liveWaiting');
+
+    if (liveStream) liveStream.stop();
+    liveStream = createLiveStream(mode, urlParams);
+    liveStream.start(
+        (update) => addLivePoints(live, update),
+        (finalSession = null) => {
+            // The stream is over, so show the finished session with its fortune
+            const id = new URLSearchParams(window.location.search).get('id');
+            if (finalSession) {
+                displaySession({ ...finalSession, run: finalSession.run || live.run }, live.headband, { id });
+                return;
+            }
+            if (live.numDataPoints === 0) return;
+            displaySession({
+                run: live.run,
+                startTimestamp: live.timestamp,
+                // Only a stream that timestamped every sample has real sample times
+                sampleTimes: live.sampleTimes.every(Number.isFinite) ? live.sampleTimes : null,
+                numDataPoints: live.numDataPoints,
+                bands: live.rawDataArrays,
+                activeness: live.activenessArray,
+                ml: Object.fromEntries(ML_STATES.map(state => [state, []])),
+                warnings: []
+            }, live.headband, { id });
+        }
+    );
+}
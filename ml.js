@@ -0,0 +1,224 @@
+// ML analysis: the headband's own reading of focus, clear, meditation and dream over the session
+//
+// Each state is an optional series in the payload (see session.js), so a session can have all four,
+// some or none. The section shows what's there:
+//   boxes    each state's share of the averaged states, like the band boxes
+//   charts   one small chart per state, on the same time axis as activeness
+//   stacked  each state's share at every sample, to see which one held the session when
+// States are scored on their own scales, so shares are taken of their sum rather than assumed to
+// add up to anything.
+
+// Same hues as the .red-bg ... .purple-bg boxes
+const mlStateHues = { dream: 30, clear: 100, focus: 250, meditation: 300 };
+
+let mlStateCharts = [];
+let mlStackChart = null;
+
+// The states a session has data for, in ML_STATES order
+function getMlStates(mlDataArrays) {
+    return ML_STATES.filter(state => mlDataArrays && mlDataArrays[state] && mlDataArrays[state].length > 0);
+}
+
+// Each state's share of the states' sum at every sample, null where they add up to nothing
+function getMlShares(mlDataArrays, states) {
+    const length = Math.max(...states.map(state => mlDataArrays[state].length));
+    const shares = Object.fromEntries(states.map(state => [state, []]));
+    for (let i = 0; i < length; i++) {
+        const value = state => (mlDataArrays[state][i] > 0 ? mlDataArrays[state][i] : 0);
+        const total = states.reduce((sum, state) => sum + value(state), 0);
+        states.forEach(state => shares[state].push(total > 0 ? value(state) / total : null));
+    }
+    return shares;
+}
+
+function updateMlBoxes(mlAnalysis, states) {
+    const total = states.reduce((sum, state) => sum + Math.max(0, mlAnalysis[state]), 0);
+    ML_STATES.forEach(state => {
+        const box = document.getElementById(`${state}Box`);
+        if (!box) return;
+        box.textContent = states.includes(state) && total > 0 ? formatPercent(Math.max(0, mlAnalysis[state]) / total) : '-';
+        box.closest('.analysis-stat').style.opacity = states.includes(state) ? '1' : '0.4';
+    });
+}
+
+function createMlChartContainer(parent, height, title) {
+    const heading = document.createElement('p');
+    heading.className = 'graph-subtitle';
+    heading.textContent = title;
+    parent.appendChild(heading);
+
+    const container = document.createElement('div');
+    container.style.cssText = `position: relative; height: ${height}px; width: 100%; margin-bottom: 1rem;`;
+    const canvas = document.createElement('canvas');
+    container.appendChild(canvas);
+    parent.appendChild(container);
+    return canvas;
+}
+
+function createMlStateChart(canvas, state, series, timeline) {
+    const color = `oklch(0.75 0.2 ${mlStateHues[state]})`;
+    const chart = new Chart(canvas, {
+        type: 'line',
+        plugins: [qualityShadingPlugin, playbackCursorPlugin],
+        data: {
+            datasets: [{
+                label: t(`ml.${state}`),
+                data: toTimelinePoints(series, timeline),
+                borderColor: color,
+                backgroundColor: color,
+                borderWidth: 2,
+                tension: 0.3,
+                pointRadius: 0,
+                pointHoverRadius: 5,
+                pointHitRadius: 30
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                axis: 'x',
+                intersect: false,
+            },
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    enabled: false,
+                    filter: isTooltipValue,
+                    external: function(context) {
+                        const tooltipEl = getOrCreateTooltip('ml-tooltip');
+                        const tooltipModel = context.tooltip;
+                        if (tooltipModel.opacity === 0) {
+                            tooltipEl.style.opacity = 0;
+                            return;
+                        }
+
+                        createSimpleTooltip(tooltipEl, tooltipModel, (dataPoint) => ({
+                            title: getTooltipTime(context.chart, dataPoint),
+                            label: t(`ml.${state}`),
+                            value: formatNumber(dataPoint.parsed.y, 2),
+                            color
+                        }));
+                        positionTooltip(tooltipEl, context);
+                    }
+                }
+            },
+            scales: {
+                x: createTimelineScale(timeline, {
+                    grid: {
+                        color: 'rgba(255, 255, 255, 0.05)',
+                        drawBorder: false,
+                        drawTicks: false
+                    },
+                    ticks: { display: false }
+                }),
+                y: {
+                    beginAtZero: true,
+                    display: false,
+                    grid: { display: false }
+                }
+            }
+        }
+    });
+    chart.timeline = timeline;
+    return chart;
+}
+
+// Shares stacked on top of each other, so the bands always fill the chart
+function createMlStackChart(canvas, shares, states, timeline) {
+    const chart = new Chart(canvas, {
+        type: 'line',
+        plugins: [qualityShadingPlugin, playbackCursorPlugin],
+        data: {
+            datasets: states.map((state, i) => ({
+                label: t(`ml.${state}`),
+                data: toTimelinePoints(shares[state], timeline),
+                borderColor: `oklch(0.75 0.2 ${mlStateHues[state]})`,
+                backgroundColor: `oklch(0.75 0.2 ${mlStateHues[state]} / 0.45)`,
+                borderWidth: 1,
+                tension: 0.3,
+                pointRadius: 0,
+                fill: i === 0 ? 'origin' : '-1'
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        color: 'rgba(255, 255, 255, 0.8)',
+                        padding: 15,
+                        font: {
+                            size: 12,
+                            family: 'cmu, Inter, sans-serif'
+                        },
+                        usePointStyle: true,
+                        pointStyle: 'rect'
+                    }
+                },
+                tooltip: { enabled: false }
+            },
+            scales: {
+                x: createTimelineScale(timeline, {
+                    grid: { display: false },
+                    ticks: { display: false }
+                }),
+                y: {
+                    stacked: true,
+                    min: 0,
+                    max: 1,
+                    display: false,
+                    grid: { display: false }
+                }
+            }
+        }
+    });
+    chart.timeline = timeline;
+    return chart;
+}
+
+// Every ML chart on the page, for the playback cursor
+function getMlCharts() {
+    return mlStackChart ? [...mlStateCharts, mlStackChart] : mlStateCharts;
+}
+
+// Fill in the ML section for a prepared session, or hide it when there's nothing to show
+function showMlAnalysis(result) {
+    const section = document.getElementById('mlSection');
+    if (!section) return;
+
+    getMlCharts().forEach(chart => chart.destroy());
+    mlStateCharts = [];
+    mlStackChart = null;
+
+    const states = result ? getMlStates(result.mlDataArrays) : [];
+    if (states.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = 'block';
+    updateMlBoxes(result.mlAnalysis, states);
+
+    const chartsContainer = document.getElementById('mlStateCharts');
+    chartsContainer.innerHTML = '';
+    states.forEach(state => {
+        const canvas = createMlChartContainer(chartsContainer, 60, t(`ml.${state}`));
+        mlStateCharts.push(createMlStateChart(canvas, state, result.mlDataArrays[state], result.timeline));
+    });
+
+    // One state alone is always 100% of itself, so the stacked view only helps with two or more
+    const stack = document.getElementById('mlStack');
+    stack.style.display = states.length > 1 ? 'block' : 'none';
+    if (states.length > 1) {
+        mlStackChart = createMlStackChart(document.getElementById('mlStackChart'), getMlShares(result.mlDataArrays, states), states, result.timeline);
+    }
+
+    getMlCharts().forEach(chart => {
+        chart.options.plugins.qualityShading = { regions: result.quality ? result.quality.issues : [] };
+        chart.update('none');
+    });
+}
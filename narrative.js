@@ -0,0 +1,69 @@
+// Narrative: a short paragraph under the fortune about what the session's numbers mean
+//
+// The paragraph comes from a small grammar kept with the other messages, so each language words
+// it its own way. A symbol has numbered variants (summary.opening.1, summary.opening.2, ...) and
+// one of them is picked per session, seeded like the fortune, so a session always reads the same.
+// Messages refer to other symbols as #name# (expanded from summary.name), and the session's facts
+// fill in {placeholders} first, which lets a message pick a symbol by fact, e.g. #bands.{bandShape}#:
+//   bandShape       dominant, or balanced when the dominant pattern is
+//   stateShape      active, clear, meditation or generic, or none without activeness data
+//   duration        how long the session lasted
+//   dominant, second                  the two leading bands, dominantShare and secondShare their shares
+//   activeTime, clearTime, meditationTime  time spent in each activeness state
+
+const NARRATIVE_ROOT = 'root';
+const NARRATIVE_MAX_DEPTH = 5; // guards against symbols that refer to each other
+
+// Everything the grammar can say about a displayed session
+function getNarrativeFacts(result, profile = getAnalysisProfile()) {
+    const { percentages, dominantPattern, activenessArray } = result;
+    const ranked = BAND_NAMES.slice().sort((a, b) => percentages[b] - percentages[a]);
+    const patternBand = dominantPattern.split('_')[0];
+    const dominant = BAND_NAMES.includes(patternBand) ? patternBand : ranked[0];
+    const second = ranked.find(band => band !== dominant);
+
+    // Each sample lasts until the next one on the timeline, gaps included. Activeness can run past the
+    // last band sample, and getSampleOffset carries on at the usual spacing there.
+    const timeline = result.timeline;
+    const seconds = countActivenessStates(activenessArray, profile,
+        i => (getSampleOffset(timeline, i + 1) - getSampleOffset(timeline, i)) / 1000);
+    const showMinutes = timeline.durationMs >= 60000;
+    const stateTime = value => formatElapsed(Math.round(value), showMinutes);
+
+    return {
+        bandShape: dominantPattern === 'balanced' ? 'balanced' : 'dominant',
+        stateShape: getActivenessState(activenessArray, profile) || 'none',
+        duration: formatSessionDuration(result.timeline.durationMs),
+        dominant: t('band.' + dominant),
+        dominantShare: formatPercent(percentages[dominant]),
+        second: t('band.' + second),
+        secondShare: formatPercent(percentages[second]),
+        activeTime: stateTime(seconds.active),
+        clearTime: stateTime(seconds.clear),
+        meditationTime: stateTime(seconds.meditation)
+    };
+}
+
+function expandNarrative(symbol, facts, seed, depth = 0) {
+    const variants = getMessageVariants(`summary.${symbol}`);
+    if (variants.length === 0 || depth > NARRATIVE_MAX_DEPTH) {
+        console.warn(`Cannot expand narrative symbol "${symbol}"`);
+        return '';
+    }
+
+    const key = variants[Math.floor(hashToUnit(seed, 'summary', symbol) * variants.length)];
+    return t(key, facts).replace(/#([\w.]+)#/g, (match, name) => expandNarrative(name, facts, seed, depth + 1));
+}
+
+function describeSession(result) {
+    const seed = getFortuneSeed(result.brainwaves, result.mlAnalysis);
+    return expandNarrative(NARRATIVE_ROOT, getNarrativeFacts(result), seed).replace(/\s+/g, ' ').trim();
+}
+
+function showSessionSummary(result) {
+    const section = document.getElementById('summarySection');
+    if (!section) return;
+    const text = result ? describeSession(result) : '';
+    document.getElementById('sessionSummary').textContent = text;
+    section.style.display = text ? 'block' : 'none';
+}
@@ -0,0 +1,184 @@
+// Water-caustics background, parameterized by the session on the page
+//
+// This sets up the caustics shader from the water-caustics submodule itself (like countdown.html
+// does) so its uniforms can follow the visitor's data once a session is displayed:
+//   - the seed comes from the session id, so every visitor gets their own ocean
+//   - activeness sets how fast and how rough the water is, a calm mind gives slow, smooth waves
+//   - the dominant band tints the caustics with that band's color, stronger the more it dominates
+// Changes ease in over a couple of seconds rather than jumping.
+
+const defaultOceanUniforms = {
+    iSeed: 0.5,
+    waveSpeed: 2.0,
+    waveFreq: 0.4,
+    waveSharpness: 0.5,
+    waveDistortion: 0.5,
+    waveMix: 0.5,
+    loopDuration: 300.0,
+    crossfadeDuration: 2.0,
+    chromaticAberration: 1.0,
+    backgroundStrength: 1.0,
+    causticSpeed: 0.25,
+    causticOffset1: 0.07,
+    causticOffset2: 0.07,
+    causticOffset3: 0.07,
+    causticInternalScale: 1.62,
+    causticSaturation: 4.0,
+    causticIntensity: 0.8,
+    mixOffset: 1.0,
+    viewDistance: 1.0,
+    causticSize: 3.0,
+    cameraAngle: 0.0,
+    timeDrift: 1.0
+};
+
+// Seconds for a parameter change to mostly settle
+const OCEAN_EASE_SECONDS = 0.8;
+
+const ocean = {
+    uniforms: null,
+    render: null,
+    targets: {},
+    tint: null
+};
+
+async function loadOceanShader(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load shader ${url}`);
+    }
+    return await response.text();
+}
+
+// Shader parameters for a displayed session (see getDominantPattern and getActivenessState)
+function getSessionOceanParams(result, seedParts) {
+    const activeness = result.activenessArray.length > 0
+        ? Math.max(0, Math.min(1, calculateAverage(result.activenessArray)))
+        : 0.5;
+
+    const band = result.dominantPattern.split('_')[0];
+    const share = BAND_NAMES.includes(band) ? result.percentages[band] : 0;
+
+    return {
+        uniforms: {
+            iSeed: hashToUnit('ocean', ...seedParts),
+            waveSpeed: 1.0 + 2.0 * activeness,
+            waveDistortion: 0.3 + 0.4 * activeness,
+            causticSpeed: 0.15 + 0.2 * activeness,
+            causticIntensity: 0.7 + 0.4 * share,
+            causticSaturation: 3.5 + 2.0 * share
+        },
+        tint: BAND_NAMES.includes(band) ? { hue: bandHues[band], strength: Math.min(0.4, 0.1 + share * 0.5) } : null
+    };
+}
+
+function applyOceanTint() {
+    const tint = document.getElementById('oceanTint');
+    if (!tint) return;
+
+    if (ocean.tint) {
+        tint.style.backgroundColor = `oklch(0.7 0.15 ${ocean.tint.hue})`;
+        tint.style.opacity = ocean.tint.strength;
+    } else {
+        tint.style.opacity = 0;
+    }
+}
+
+function setOceanParams(params) {
+    Object.entries(params.uniforms).forEach(([name, value]) => {
+        ocean.targets[name] = value;
+    });
+    // The seed picks a different pattern rather than a nearby one, so there is nothing to ease
+    if (ocean.uniforms && params.uniforms.iSeed !== undefined) {
+        ocean.uniforms.iSeed.value = params.uniforms.iSeed;
+    }
+
+    ocean.tint = params.tint;
+    applyOceanTint();
+    if (ocean.render) ocean.render();
+}
+
+// Called when a session is displayed. Sessions from the server are seeded by headband and run.
+function applySessionToOcean(result) {
+    const seedParts = result.headband !== undefined && result.headband !== null
+        ? [result.headband, result.run]
+        : [getSignalSeed(result.timestamp, result.rawDataArrays)];
+    setOceanParams(getSessionOceanParams(result, seedParts));
+}
+
+// A random fortune still gets its own ocean, seeded by its timestamp
+function applyFortuneToOcean(timestamp) {
+    setOceanParams({ uniforms: { iSeed: hashToUnit('ocean', timestamp) }, tint: null });
+}
+
+function easeOceanUniforms(elapsed) {
+    const amount = Math.min(1, elapsed / OCEAN_EASE_SECONDS);
+    Object.entries(ocean.targets).forEach(([name, target]) => {
+        const uniform = ocean.uniforms[name];
+        uniform.value += (target - uniform.value) * amount;
+    });
+}
+
+async function initOcean(shaderBasePath = '') {
+    const scene = new THREE.Scene();
+    const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    const renderer = new THREE.WebGLRenderer();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    document.body.appendChild(renderer.domElement);
+
+    const vertexShader = await loadOceanShader(shaderBasePath + 'vertex.glsl');
+    const fragmentShader = await loadOceanShader(shaderBasePath + 'fragment.glsl');
+
+    const uniforms = {
+        iTime: { value: 0 },
+        iResolution: { value: new THREE.Vector3(window.innerWidth, window.innerHeight, 1) }
+    };
+    Object.entries(defaultOceanUniforms).forEach(([name, value]) => {
+        uniforms[name] = { value: value };
+    });
+    // A session displayed before the shaders loaded already picked its seed
+    if (ocean.targets.iSeed !== undefined) {
+        uniforms.iSeed.value = ocean.targets.iSeed;
+    }
+    ocean.uniforms = uniforms;
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: uniforms,
+        vertexShader: vertexShader,
+        fragmentShader: fragmentShader
+    });
+    scene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material));
+
+    window.addEventListener('resize', () => {
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        uniforms.iResolution.value.set(window.innerWidth, window.innerHeight, 1);
+        if (ocean.render) ocean.render();
+    });
+
+    if (prefersReducedMotion()) {
+        // A still ocean, redrawn only when the session changes it
+        ocean.render = () => {
+            easeOceanUniforms(OCEAN_EASE_SECONDS);
+            renderer.render(scene, camera);
+        };
+        ocean.render();
+        return;
+    }
+
+    const startTime = performance.now();
+    let lastTime = startTime;
+    const step = (now) => {
+        easeOceanUniforms((now - lastTime) / 1000);
+        lastTime = now;
+        uniforms.iTime.value = (now - startTime) / 1000;
+        renderer.render(scene, camera);
+        requestAnimationFrame(step);
+    };
+    requestAnimationFrame(step);
+}
+
+window.addEventListener('load', () => {
+    initOcean('./water-caustics/').catch(error => {
+        console.error('Failed to initialize caustics:', error);
+    });
+});
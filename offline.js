@@ -0,0 +1,142 @@
+// Offline support: registers the service worker and keeps fetched sessions in IndexedDB
+//
+// sw.js makes the page itself load without a connection. Session payloads come from a POST the
+// service worker can't cache, so the data source is wrapped to keep each one it returns, keyed by
+// source, headband and run (the same run from ?source=static and the API are different sessions):
+//   { key: 'remote:3-12', source: 'remote', headband: 3, run: 12, payload: {...}, fetchedAt: 1769650200000 }
+// A cached session is shown straight away and refreshed in the background, at once when online and
+// otherwise as soon as the connection comes back, so a link opened before still works on a train.
+// Requests without a run ("latest") always go to the network since the latest run changes, but
+// what they return is cached under its run. Both parts can be turned off:
+//
+//   window.brainwaveConfig = { offline: { serviceWorker: false, cacheSessions: false } };
+
+const defaultOfflineConfig = {
+    serviceWorker: true,
+    serviceWorkerUrl: './sw.js',
+    cacheSessions: true
+};
+
+const SESSION_DB_NAME = 'eighth-dimension';
+const SESSION_STORE = 'sessions';
+
+let sessionDbPromise = null;
+
+// Refreshes waiting for the connection to come back, by cache key
+const pendingSessionRefreshes = new Map();
+
+function getOfflineConfig() {
+    const config = (window.brainwaveConfig && window.brainwaveConfig.offline) || {};
+    return { ...defaultOfflineConfig, ...config };
+}
+
+function getSessionCacheKey(sourceName, headband, run) {
+    return `${sourceName}:${headband}-${run}`;
+}
+
+function openSessionDb() {
+    if (!sessionDbPromise) {
+        sessionDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(SESSION_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(SESSION_STORE, { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return sessionDbPromise;
+}
+
+// Run one request against the session store and resolve to its result
+async function withSessionStore(mode, makeRequest) {
+    const db = await openSessionDb();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function readCachedSession(sourceName, headband, run) {
+    const entry = await withSessionStore('readonly', store => store.get(getSessionCacheKey(sourceName, headband, run)));
+    return entry || null;
+}
+
+function writeCachedSession(sourceName, headband, run, payload) {
+    return withSessionStore('readwrite', store => store.put({
+        key: getSessionCacheKey(sourceName, headband, run),
+        source: sourceName,
+        headband,
+        run,
+        // Copied now, since the payload is still used after this returns
+        payload: JSON.parse(JSON.stringify(payload)),
+        fetchedAt: Date.now()
+    }));
+}
+
+// Fetch from the network and keep a copy. Failing to cache is only logged, the cache is a fallback.
+async function fetchAndCacheSession(source, request) {
+    const payload = await source.fetchSession(request);
+    const run = payload.run !== undefined && payload.run !== null ? payload.run : request.run;
+    if (run !== null && run !== undefined) {
+        writeCachedSession(source.name, request.headband, run, payload).catch(error => console.warn('Could not cache session:', error));
+    }
+    return payload;
+}
+
+function refreshCachedSession(source, request) {
+    const key = getSessionCacheKey(source.name, request.headband, request.run);
+    if (!navigator.onLine) {
+        pendingSessionRefreshes.set(key, { source, request });
+        return;
+    }
+    fetchAndCacheSession(source, request).then(() => {
+        pendingSessionRefreshes.delete(key);
+    }).catch(error => {
+        // Most likely the connection is still flaky, so try again when it's back
+        console.warn(`Could not refresh cached session ${key}:`, error);
+        pendingSessionRefreshes.set(key, { source, request });
+    });
+}
+
+// Wrap a data source so the sessions it returns are cached, and served from the cache next time
+function withSessionCache(source) {
+    if (!getOfflineConfig().cacheSessions) return source;
+
+    return {
+        name: source.name,
+        async fetchSession(request) {
+            const hasRun = request.run !== null && request.run !== undefined;
+            const cached = hasRun
+                ? await readCachedSession(source.name, request.headband, request.run).catch(error => {
+                    console.warn('Could not read the session cache:', error);
+                    return null;
+                })
+                : null;
+
+            if (cached) {
+                console.log(`Showing cached session ${cached.key} from ${new Date(cached.fetchedAt).toISOString()}`);
+                refreshCachedSession(source, request);
+                return cached.payload;
+            }
+            return await fetchAndCacheSession(source, request);
+        }
+    };
+}
+
+window.addEventListener('online', () => {
+    const pending = [...pendingSessionRefreshes.values()];
+    pendingSessionRefreshes.clear();
+    pending.forEach(({ source, request }) => refreshCachedSession(source, request));
+});
+
+window.addEventListener('load', () => {
+    const config = getOfflineConfig();
+    if (!config.serviceWorker || !('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register(config.serviceWorkerUrl).catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+});
@@ -0,0 +1,225 @@
+// Playback of the displayed session: a cursor moves across the charts while the percentage boxes,
+// wave glyphs and peak-frequency highlight show the values around that moment instead of the
+// session averages. Until the visitor plays or scrubs, the page shows the whole-session summary.
+
+// Multiples of real time, a sample every 2 seconds at 1x. Playback steps from sample to sample, so
+// gaps in a recording are skipped rather than waited out.
+const PLAYBACK_SPEEDS = [1, 4, 16, 64];
+const DEFAULT_PLAYBACK_SPEED = 16;
+
+// Samples on each side of the cursor averaged for the boxes and peak frequency (30 seconds)
+const PLAYBACK_WINDOW_SAMPLES = 15;
+
+const playback = {
+    result: null,
+    position: null,
+    playing: false,
+    speed: DEFAULT_PLAYBACK_SPEED,
+    frame: null,
+    lastTime: null
+};
+
+// Functions called with 'play', 'pause', 'seek', 'speed' or 'reset' so other views can follow along
+const playbackListeners = [];
+
+function onPlaybackChange(listener) {
+    playbackListeners.push(listener);
+}
+
+function notifyPlayback(event) {
+    playbackListeners.forEach(listener => listener(event, playback));
+}
+
+// Vertical line at the playback position, added to the brainwave, activeness and ML charts
+const playbackCursorPlugin = {
+    id: 'playbackCursor',
+    afterDatasetsDraw(chart) {
+        if (playback.position === null || !chart.timeline) return;
+
+        const x = chart.scales.x.getPixelForValue(getTimelineSeconds(chart.timeline, playback.position));
+        if (!Number.isFinite(x)) return;
+
+        const { top, bottom } = chart.chartArea;
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        ctx.restore();
+    }
+};
+
+function getPlaybackWindow(numDataPoints, position) {
+    const index = Math.round(position);
+    return {
+        start: Math.max(0, index - PLAYBACK_WINDOW_SAMPLES),
+        end: Math.min(numDataPoints, index + PLAYBACK_WINDOW_SAMPLES + 1)
+    };
+}
+
+// Band shares around a moment, averaged the same way prepareSession averages the whole session
+function getBrainwavesAt(rawDataArrays, position) {
+    const { start, end } = getPlaybackWindow(rawDataArrays.alpha.length, position);
+    return normalizeBrainwaves(Object.fromEntries(
+        BAND_NAMES.map(band => [band, calculateAverage(rawDataArrays[band].slice(start, end))])
+    ));
+}
+
+function getActivenessAt(activenessArray, position) {
+    const { start, end } = getPlaybackWindow(activenessArray.length, position);
+    return activenessArray.slice(start, end);
+}
+
+function formatPlaybackTime(position) {
+    const result = playback.result;
+    if (position === null) {
+        return t('playback.overview');
+    }
+    const timeline = result.timeline;
+    const totalSeconds = Math.round(timeline.durationMs / 1000);
+    const showMinutes = totalSeconds >= 60;
+    const elapsedSeconds = getTimelineSeconds(timeline, Math.round(position));
+    const text = t('playback.time', {
+        elapsed: formatElapsed(Math.round(elapsedSeconds), showMinutes),
+        total: formatElapsed(totalSeconds, showMinutes)
+    });
+    return formatTimelineMoment(timeline, elapsedSeconds, text);
+}
+
+function redrawPlaybackCharts() {
+    [brainwaveChart, activenessChart, ...getMlCharts()].forEach(chart => {
+        if (chart) chart.draw();
+    });
+}
+
+// Show the session at a sample position, or the whole-session averages when position is null
+function showPlaybackMoment(position) {
+    const result = playback.result;
+    if (!result) return;
+    playback.position = position;
+
+    let brainwaves = result.brainwaves;
+    let activeness = result.activenessArray;
+    if (position !== null) {
+        brainwaves = getBrainwavesAt(result.rawDataArrays, position);
+        activeness = getActivenessAt(result.activenessArray, position);
+    }
+
+    updateBrainwaveBoxes(getBandProminence(brainwaves, result.baseline));
+    highlightPeakFrequency(getDominantPattern(brainwaves, result.mlAnalysis, activeness, result.baseline));
+    setSignalPosition(position);
+    redrawPlaybackCharts();
+
+    const scrubber = document.getElementById('playbackScrubber');
+    if (scrubber && position !== null) {
+        scrubber.value = position;
+    }
+    const time = document.getElementById('playbackTime');
+    if (time) {
+        time.textContent = formatPlaybackTime(position);
+    }
+}
+
+function updatePlaybackToggle() {
+    const toggle = document.getElementById('playbackToggle');
+    if (toggle) {
+        toggle.textContent = playback.playing ? t('playback.pause') : t('playback.play');
+    }
+}
+
+function playbackStep(now) {
+    const elapsed = (now - playback.lastTime) / 1000;
+    playback.lastTime = now;
+
+    const last = playback.result.numDataPoints - 1;
+    const position = Math.min(last, playback.position + elapsed * playback.speed * 1000 / SAMPLE_INTERVAL_MS);
+    showPlaybackMoment(position);
+
+    if (position >= last) {
+        pausePlayback();
+        return;
+    }
+    playback.frame = requestAnimationFrame(playbackStep);
+}
+
+function playPlayback() {
+    if (!playback.result || playback.playing) return;
+
+    // Start over when playing from the end (or from the whole-session summary)
+    const last = playback.result.numDataPoints - 1;
+    if (playback.position === null || playback.position >= last) {
+        showPlaybackMoment(0);
+    }
+
+    playback.playing = true;
+    playback.lastTime = performance.now();
+    playback.frame = requestAnimationFrame(playbackStep);
+    updatePlaybackToggle();
+    notifyPlayback('play');
+}
+
+function pausePlayback() {
+    if (!playback.playing) return;
+    playback.playing = false;
+    cancelAnimationFrame(playback.frame);
+    updatePlaybackToggle();
+    notifyPlayback('pause');
+}
+
+function togglePlayback() {
+    if (playback.playing) {
+        pausePlayback();
+    } else {
+        playPlayback();
+    }
+}
+
+// Called whenever a session is displayed, starting from the whole-session summary
+function setupPlayback(result) {
+    pausePlayback();
+    playback.result = result;
+    playback.position = null;
+    setSignalPosition(null);
+    notifyPlayback('reset');
+
+    const controls = document.getElementById('playbackControls');
+    if (!controls) return;
+
+    // A single sample has nothing to play through
+    const canPlay = result.numDataPoints > 1;
+    controls.style.display = canPlay ? 'flex' : 'none';
+    if (!canPlay) return;
+
+    const scrubber = document.getElementById('playbackScrubber');
+    scrubber.max = result.numDataPoints - 1;
+    scrubber.value = 0;
+    document.getElementById('playbackTime').textContent = formatPlaybackTime(null);
+}
+
+window.addEventListener('load', () => {
+    const toggle = document.getElementById('playbackToggle');
+    const scrubber = document.getElementById('playbackScrubber');
+    const speed = document.getElementById('playbackSpeed');
+    if (!toggle || !scrubber || !speed) return;
+
+    PLAYBACK_SPEEDS.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = `${value}×`;
+        option.selected = value === playback.speed;
+        speed.appendChild(option);
+    });
+
+    toggle.addEventListener('click', togglePlayback);
+    scrubber.addEventListener('input', () => {
+        showPlaybackMoment(Number(scrubber.value));
+        notifyPlayback('seek');
+    });
+    speed.addEventListener('change', () => {
+        playback.speed = Number(speed.value);
+        notifyPlayback('speed');
+    });
+});
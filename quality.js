@@ -0,0 +1,204 @@
+// Signal quality: finds artifacts in a session's band powers and scores the recording
+//
+// Four kinds of problems are flagged, as regions of sample indices [start, end):
+//   flatline  a band repeats the exact same value, the headband sent averages instead of live data
+//   dropout   a band is zero, the sensor lost contact
+//   spike     a band jumps far above or below its neighbors for a moment
+//   burst     gamma and beta (or delta) surge together, as blinks and jaw or head movement do
+// The score is the percentage of samples with none of these. With
+// window.brainwaveConfig.quality = { excludeArtifacts: true } the flagged samples are also left
+// out of the averages that pick the fortune.
+
+const defaultQualityConfig = {
+    excludeArtifacts: false,
+    flatlineSamples: 15,     // 30 seconds of identical values
+    spikeFactor: 8,          // times the rolling median, up or down
+    burstFactor: 3,          // gamma times its rolling median
+    burstSupportFactor: 1.5, // beta or delta times theirs during the same sample
+    medianWindow: 15         // samples on each side of the rolling median
+};
+
+const QUALITY_ISSUE_TYPES = ['dropout', 'flatline', 'spike', 'burst'];
+
+// Chart shading for each issue type
+const qualityIssueColors = {
+    dropout: 'rgba(255, 90, 90, 0.16)',
+    flatline: 'rgba(200, 200, 200, 0.12)',
+    spike: 'rgba(255, 190, 80, 0.16)',
+    burst: 'rgba(200, 120, 255, 0.16)'
+};
+
+function getQualityConfig() {
+    const config = (window.brainwaveConfig && window.brainwaveConfig.quality) || {};
+    return { ...defaultQualityConfig, ...config };
+}
+
+// Turn a per-sample flag list into [{ start, end }] regions
+function flagsToRegions(flags) {
+    const regions = [];
+    let start = null;
+    flags.forEach((flagged, i) => {
+        if (flagged && start === null) start = i;
+        if (!flagged && start !== null) {
+            regions.push({ start, end: i });
+            start = null;
+        }
+    });
+    if (start !== null) regions.push({ start, end: flags.length });
+    return regions;
+}
+
+function findFlatlines(series, minLength) {
+    const flags = new Array(series.length).fill(false);
+    let runStart = 0;
+    for (let i = 1; i <= series.length; i++) {
+        if (i < series.length && series[i] === series[runStart]) continue;
+        if (i - runStart >= minLength) {
+            flags.fill(true, runStart, i);
+        }
+        runStart = i;
+    }
+    return flags;
+}
+
+function findDropouts(series) {
+    return series.map(value => !(value > 0));
+}
+
+// Median of the positive values around each sample, so dropouts don't drag it down
+function getRollingMedian(series, halfWindow) {
+    return series.map((_, i) => {
+        const window = series
+            .slice(Math.max(0, i - halfWindow), i + halfWindow + 1)
+            .filter(value => value > 0)
+            .sort((a, b) => a - b);
+        return window.length > 0 ? window[Math.floor(window.length / 2)] : 0;
+    });
+}
+
+function findSpikes(series, median, factor) {
+    return series.map((value, i) => {
+        if (!(value > 0) || !(median[i] > 0)) return false;
+        return value > median[i] * factor || value < median[i] / factor;
+    });
+}
+
+function findBursts(rawDataArrays, medians, config) {
+    const ratio = (band, i) => medians[band][i] > 0 ? rawDataArrays[band][i] / medians[band][i] : 0;
+    return rawDataArrays.gamma.map((_, i) =>
+        ratio('gamma', i) >= config.burstFactor &&
+        (ratio('beta', i) >= config.burstSupportFactor || ratio('delta', i) >= config.burstSupportFactor)
+    );
+}
+
+function assessSignalQuality(rawDataArrays, config = getQualityConfig()) {
+    const numDataPoints = rawDataArrays.alpha.length;
+    const medians = Object.fromEntries(BAND_NAMES.map(band =>
+        [band, getRollingMedian(rawDataArrays[band], config.medianWindow)]
+    ));
+
+    const issues = [];
+    const badSamples = new Array(numDataPoints).fill(false);
+    const addIssues = (type, band, flags) => {
+        flagsToRegions(flags).forEach(region => {
+            issues.push({ type, band, ...region });
+            badSamples.fill(true, region.start, region.end);
+        });
+    };
+
+    BAND_NAMES.forEach(band => {
+        const series = rawDataArrays[band];
+        const dropouts = findDropouts(series);
+        addIssues('dropout', band, dropouts);
+        // A run of zeros is a dropout, not also a flatline
+        addIssues('flatline', band, findFlatlines(series, config.flatlineSamples).map((flag, i) => flag && !dropouts[i]));
+        addIssues('spike', band, findSpikes(series, medians[band], config.spikeFactor));
+    });
+    addIssues('burst', null, findBursts(rawDataArrays, medians, config));
+
+    const badCount = badSamples.filter(Boolean).length;
+    const score = numDataPoints > 0 ? Math.round(100 * (1 - badCount / numDataPoints)) : 0;
+
+    return {
+        score,
+        level: score >= 90 ? 'good' : (score >= 70 ? 'fair' : 'poor'),
+        issues: issues.sort((a, b) => a.start - b.start),
+        badSamples
+    };
+}
+
+// The band series without the flagged samples, for averaging
+function getCleanDataArrays(rawDataArrays, quality) {
+    const cleanCount = quality.badSamples.filter(bad => !bad).length;
+    // Nothing would be left to average, so keep everything
+    if (cleanCount === 0) return rawDataArrays;
+
+    return Object.fromEntries(BAND_NAMES.map(band =>
+        [band, rawDataArrays[band].filter((_, i) => !quality.badSamples[i])]
+    ));
+}
+
+// Shades flagged regions behind the chart lines, regions come from options.plugins.qualityShading
+const qualityShadingPlugin = {
+    id: 'qualityShading',
+    beforeDatasetsDraw(chart, args, options) {
+        const regions = options && options.regions;
+        if (!regions || regions.length === 0 || !chart.timeline) return;
+
+        const { top, bottom, left, right } = chart.chartArea;
+        const scale = chart.scales.x;
+        const ctx = chart.ctx;
+        ctx.save();
+        const halfSample = SAMPLE_INTERVAL_MS / 2000;
+        regions.forEach(region => {
+            // Cover from half a sample before the region to half a sample after it
+            const startSeconds = getTimelineSeconds(chart.timeline, region.start) - halfSample;
+            const endSeconds = getTimelineSeconds(chart.timeline, region.end - 1) + halfSample;
+            const start = Math.max(left, scale.getPixelForValue(startSeconds));
+            const end = Math.min(right, scale.getPixelForValue(endSeconds));
+            ctx.fillStyle = qualityIssueColors[region.type];
+            ctx.fillRect(start, top, end - start, bottom - top);
+        });
+        ctx.restore();
+    }
+};
+
+function shadeQualityIssues(quality) {
+    [brainwaveChart, activenessChart].forEach(chart => {
+        if (!chart) return;
+        chart.options.plugins.qualityShading = { regions: quality.issues };
+        chart.update('none');
+    });
+}
+
+function showQualityReport(quality, excluded) {
+    const report = document.getElementById('qualityReport');
+    if (!report) return;
+
+    const counts = QUALITY_ISSUE_TYPES
+        .map(type => ({ type, count: quality.issues.filter(issue => issue.type === type).length }))
+        .filter(({ count }) => count > 0);
+
+    report.innerHTML = '';
+    const summary = document.createElement('span');
+    summary.className = `quality-score quality-${quality.level}`;
+    summary.textContent = t('quality.summary', { score: formatPercent(quality.score / 100), level: t(`quality.level.${quality.level}`) });
+    report.appendChild(summary);
+
+    counts.forEach(({ type, count }) => {
+        const item = document.createElement('span');
+        item.className = 'quality-issue';
+        item.style.setProperty('--issue-color', qualityIssueColors[type]);
+        item.textContent = t(`quality.${type}`, { count });
+        report.appendChild(item);
+    });
+
+    if (excluded && counts.length > 0) {
+        const note = document.createElement('span');
+        note.className = 'quality-note';
+        note.textContent = t('quality.excluded');
+        report.appendChild(note);
+    }
+
+    report.style.display = 'flex';
+}
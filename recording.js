@@ -0,0 +1,267 @@
+// Local EEG recording files (CSV band-power exports) rendered without any server
+//
+// Supported layouts, detected from the header row:
+//   - Mind Monitor / Muse Direct: TimeStamp, Delta_TP9, Delta_AF7, ..., Gamma_TP10 (log10 band powers per electrode)
+//   - OpenBCI band power: one column per band (optionally per channel), e.g. "Delta" or "Ch1 Delta"
+//   - Eighth Dimension exports: time, delta, theta, alpha, beta, gamma, activeness, ...
+// Samples are resampled into the same 2 second steps the backend uses before going through the
+// usual removeRepeatedTail -> normalizeBrainwaves -> updateBrainwaveDisplay pipeline. Steps with
+// no samples are left out, and the time of each step is passed on so the charts show the gap.
+
+const museElectrodes = ['TP9', 'AF7', 'AF8', 'TP10'];
+
+// Split one CSV line into fields, honouring double-quoted fields
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+// Work out which columns hold which band, the time and any extra series we know about
+function detectRecordingColumns(header) {
+    const columns = { bands: {}, time: -1, extra: {}, logScale: false };
+    BAND_NAMES.forEach(band => { columns.bands[band] = []; });
+
+    header.forEach((name, index) => {
+        const lower = name.toLowerCase();
+
+        if (columns.time === -1 && /^(timestamp|time|date)/.test(lower)) {
+            columns.time = index;
+            return;
+        }
+
+        const band = BAND_NAMES.find(b => new RegExp(`(^|[^a-z])${b}([^a-z]|$)`).test(lower));
+        if (band) {
+            // Skip relative/score columns if absolute powers are also present, e.g. Muse Direct's alpha_relative
+            if (/relative|score/.test(lower)) return;
+            columns.bands[band].push(index);
+            if (museElectrodes.some(electrode => name.toUpperCase().endsWith('_' + electrode))) {
+                columns.logScale = true;
+            }
+            return;
+        }
+
+        if (lower === 'activeness' || ML_STATES.includes(lower)) {
+            columns.extra[lower] = index;
+        }
+    });
+
+    return columns;
+}
+
+function parseRecordingTime(value) {
+    if (value === undefined || value === '') return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        const number = parseFloat(value);
+        // Unix seconds vs milliseconds
+        return number > 1e12 ? number : number * 1000;
+    }
+    const time = new Date(value.replace(' ', 'T')).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+// Average the columns for a band in one row, or null if the row has no values for it
+function averageColumns(fields, indices, logScale) {
+    const values = indices
+        .map(index => parseFloat(fields[index]))
+        .filter(value => Number.isFinite(value));
+    if (values.length === 0) return null;
+
+    // Mind Monitor writes log10 powers, which can be negative, so convert back to linear power
+    const linear = logScale ? values.map(value => Math.pow(10, value)) : values;
+    return calculateAverage(linear);
+}
+
+// Parse CSV text into a payload shaped like the API response, ready for parseSessionPayload
+function parseRecordingCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) {
+        throw new SessionValidationError([{ field: 'file', message: 'has no data rows' }]);
+    }
+
+    const header = splitCsvLine(lines[0]);
+    const columns = detectRecordingColumns(header);
+
+    const missingBands = BAND_NAMES.filter(band => columns.bands[band].length === 0);
+    if (missingBands.length > 0) {
+        throw new SessionValidationError(missingBands.map(band => ({ field: band, message: 'has no matching column' })));
+    }
+
+    // Read every row that has a value for all five bands (Mind Monitor interleaves marker rows)
+    const rows = [];
+    let anyNegative = false;
+    for (let i = 1; i < lines.length; i++) {
+        const fields = splitCsvLine(lines[i]);
+        const complete = BAND_NAMES.every(band => {
+            const values = columns.bands[band].map(index => parseFloat(fields[index])).filter(Number.isFinite);
+            if (values.some(value => value < 0)) anyNegative = true;
+            return values.length > 0;
+        });
+        if (complete) rows.push(fields);
+    }
+
+    if (rows.length === 0) {
+        throw new SessionValidationError([{ field: 'file', message: 'has no rows with all five bands' }]);
+    }
+
+    // Negative powers only make sense as logarithms, even without Muse electrode names
+    const logScale = columns.logScale || anyNegative;
+    const samples = rows.map(fields => {
+        const sample = { time: columns.time >= 0 ? parseRecordingTime(fields[columns.time]) : null, values: {} };
+        BAND_NAMES.forEach(band => {
+            sample.values[band] = averageColumns(fields, columns.bands[band], logScale);
+        });
+        Object.keys(columns.extra).forEach(name => {
+            const value = parseFloat(fields[columns.extra[name]]);
+            sample.values[name] = Number.isFinite(value) ? value : null;
+        });
+        return sample;
+    });
+
+    const { series, times } = resampleRecording(samples, [...BAND_NAMES, ...Object.keys(columns.extra)]);
+    const startTime = samples[0].time;
+
+    return {
+        ...series,
+        timestamps: times || undefined,
+        start_timestamp: startTime !== null ? new Date(startTime).toISOString() : undefined
+    };
+}
+
+// Group samples into 2 second bins when timestamps are available, otherwise treat rows as bins.
+// Returns the series and the start time of each bin (null without timestamps).
+function resampleRecording(samples, names) {
+    const hasTimes = samples.every(sample => sample.time !== null);
+    const bins = [];
+
+    if (hasTimes) {
+        const start = samples[0].time;
+        samples.forEach(sample => {
+            const index = Math.max(0, Math.floor((sample.time - start) / SAMPLE_INTERVAL_MS));
+            if (!bins[index]) bins[index] = [];
+            bins[index].push(sample);
+        });
+    } else {
+        samples.forEach((sample, index) => { bins[index] = [sample]; });
+    }
+
+    const series = {};
+    names.forEach(name => { series[name] = []; });
+
+    const times = hasTimes ? [] : null;
+    bins.forEach((bin, i) => {
+        // Empty bins are skipped (forEach doesn't visit them), the timestamps keep the gap
+        names.forEach(name => {
+            const values = bin.map(sample => sample.values[name]).filter(value => value !== null && value !== undefined);
+            series[name].push(values.length > 0 ? calculateAverage(values) : 0);
+        });
+        if (hasTimes) times.push(samples[0].time + i * SAMPLE_INTERVAL_MS);
+    });
+
+    return { series, times };
+}
+
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+async function displayRecordingFile(file) {
+    try {
+        document.getElementById('loadingDots').style.display = 'block';
+        showSessionDiagnostics([]);
+
+        await ensureLocale();
+        await ensureFortuneCatalog();
+        await ensureAnalysisProfile();
+        await ensureBaselines();
+        const text = await readFileAsText(file);
+        const session = parseSessionPayload(parseRecordingCsv(text));
+        session.warnings.forEach(warning => console.warn(`Recording warning: ${warning.field} ${warning.message}`));
+        showSessionDiagnostics([], session.warnings);
+
+        // Restore the brainwave subtitle in case a random fortune was showing
+        const fortuneSubtitle = document.querySelector('.fortune-subtitle');
+        if (fortuneSubtitle) {
+            fortuneSubtitle.textContent = t('fortune.subtitle');
+        }
+        const exampleLink = document.querySelector('.example-link');
+        if (exampleLink) {
+            exampleLink.style.display = 'none';
+        }
+
+        const result = displaySession(session, undefined, { recordingFile: file.name });
+
+        // Local files have no headband, so describe the file instead
+        document.getElementById('timestamp').textContent = result.timestamp
+            ? t('footer.recordingRecorded', { file: file.name, date: formatTimestamp(result.timestamp) })
+            : t('footer.recording', { file: file.name });
+
+        console.log('Recording loaded:', { file: file.name, ...result });
+    } catch (error) {
+        console.error('Error reading recording:', error);
+        document.getElementById('fortuneMessage').textContent = t('recording.error');
+        showSessionDiagnostics(error instanceof SessionValidationError ? error.issues : [{ field: file.name, message: error.message }]);
+        document.getElementById('loadingDots').style.display = 'none';
+    }
+}
+
+// File picker and drag-and-drop anywhere on the page
+window.addEventListener('load', () => {
+    const input = document.getElementById('recordingInput');
+    if (input) {
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                displayRecordingFile(input.files[0]);
+            }
+            input.value = '';
+        });
+    }
+
+    document.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        document.body.classList.add('dragging-recording');
+    });
+
+    document.addEventListener('dragleave', (event) => {
+        if (event.relatedTarget === null) {
+            document.body.classList.remove('dragging-recording');
+        }
+    });
+
+    document.addEventListener('drop', (event) => {
+        event.preventDefault();
+        document.body.classList.remove('dragging-recording');
+        const file = event.dataTransfer.files[0];
+        if (file) {
+            displayRecordingFile(file);
+        }
+    });
+});
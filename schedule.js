@@ -0,0 +1,261 @@
+// Session schedule for countdown.html: when each session of a run starts and ends
+//
+// Every venue or exhibition has its own schedule file in schedules/ (schedules/default.json is the
+// January 2026 run), picked with ?schedule=<name> or window.brainwaveConfig.schedule, so the
+// countdown can be reused for the next run without editing the page:
+//
+//   { "id": "default", "timeZone": "America/New_York",
+//     "sessions": [{ "start": "2026-01-28T19:30", "end": "2026-01-28T20:00" }, ...] }
+//
+// Times without an offset are wall-clock times in the schedule's timeZone, an IANA name or "local"
+// for whatever the kiosk is set to, and a session can have its own timeZone. A name ending in .ics
+// loads a calendar export instead, one VEVENT per session. Labels like "7:30 pm - 8:00 pm" and the
+// "(1hr - Extended)" note come from the times, sessions of extendedMinutes or more being extended.
+//
+//   window.brainwaveConfig = { schedule: { name: 'spring-2026.ics', scheduleBaseUrl: './schedules/' } };
+
+const defaultScheduleConfig = {
+    name: 'default',
+    scheduleBaseUrl: './schedules/'
+};
+
+// Values a schedule file can leave out
+const defaultScheduleSettings = {
+    timeZone: 'local',
+    extendedMinutes: 60, // sessions at least this long are extended
+    graceMinutes: 6      // how long after its start a session is still announced as starting
+};
+
+let schedulePromise = null;
+
+function getScheduleConfig() {
+    const config = (window.brainwaveConfig && window.brainwaveConfig.schedule) || {};
+    return { ...defaultScheduleConfig, ...config };
+}
+
+function getScheduleName() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('schedule') || getScheduleConfig().name;
+}
+
+function isValidTimeZone(timeZone) {
+    if (timeZone === 'local') return true;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// How far a time zone is ahead of UTC at the given moment, in milliseconds
+function getTimeZoneOffsetMs(timeZone, epochMs) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(epochMs)).forEach(part => { parts[part.type] = Number(part.value); });
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(epochMs / 1000) * 1000;
+}
+
+// The moment a wall-clock time happens in a time zone, or null if the zone is unknown
+function zonedTimeToEpoch({ year, month, day, hour, minute, second }, timeZone) {
+    if (!isValidTimeZone(timeZone)) return null;
+    if (timeZone === 'local') {
+        return new Date(year, month - 1, day, hour, minute, second).getTime();
+    }
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    // The offset is looked up twice in case the first guess lands on the other side of a DST change
+    const guess = wallClock - getTimeZoneOffsetMs(timeZone, wallClock);
+    return wallClock - getTimeZoneOffsetMs(timeZone, guess);
+}
+
+// "2026-01-28T19:30" in the given zone, or with its own offset as in "2026-01-28T19:30-05:00"
+function parseScheduleTime(value, timeZone) {
+    const match = typeof value === 'string'
+        && value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:\d{2})?$/);
+    if (!match) return null;
+    if (match[7]) return Date.parse(value);
+
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(part => Number(part || 0));
+    return zonedTimeToEpoch({ year, month, day, hour, minute, second }, timeZone);
+}
+
+function parseJsonSchedule(data) {
+    const settings = { ...defaultScheduleSettings, ...data };
+    const sessions = (Array.isArray(data.sessions) ? data.sessions : []).map(session => {
+        const timeZone = session.timeZone || settings.timeZone;
+        return {
+            start: parseScheduleTime(session.start, timeZone),
+            end: parseScheduleTime(session.end, timeZone),
+            timeZone
+        };
+    });
+    return { ...settings, sessions };
+}
+
+// Unfold an iCalendar file into its properties: { name: 'DTSTART', params: { TZID: '...' }, value: '...' }
+function parseIcsProperties(text) {
+    return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.includes(':')).map(line => {
+        const colon = line.indexOf(':');
+        const [name, ...params] = line.slice(0, colon).split(';');
+        return {
+            name: name.toUpperCase(),
+            params: Object.fromEntries(params.map(param => {
+                const [key, value = ''] = param.split('=');
+                return [key.toUpperCase(), value.replace(/^"|"$/g, '')];
+            })),
+            value: line.slice(colon + 1).trim()
+        };
+    });
+}
+
+// DTSTART/DTEND: "20260128T193000Z" is UTC, otherwise the time is in its TZID or the calendar's zone
+function parseIcsTime(property, timeZone) {
+    const match = property && property.value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+    if (!match) return null;
+
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+    if (match[7]) return Date.UTC(year, month - 1, day, hour, minute, second);
+    return zonedTimeToEpoch({ year, month, day, hour, minute, second }, property.params.TZID || timeZone);
+}
+
+// DURATION such as "PT30M" or "PT1H", in milliseconds
+function parseIcsDuration(value) {
+    const match = value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+    return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+function parseIcsSchedule(text) {
+    const properties = parseIcsProperties(text);
+    // Floating times follow the calendar's zone when it names one, like calendar apps do
+    const calendarZone = properties.find(property => property.name === 'X-WR-TIMEZONE');
+    const timeZone = calendarZone ? calendarZone.value : defaultScheduleSettings.timeZone;
+
+    const sessions = [];
+    let event = null;
+    properties.forEach(property => {
+        if (property.name === 'BEGIN' && property.value === 'VEVENT') {
+            event = {};
+        } else if (property.name === 'END' && property.value === 'VEVENT' && event) {
+            const sessionZone = (event.DTSTART && event.DTSTART.params.TZID) || timeZone;
+            const start = parseIcsTime(event.DTSTART, timeZone);
+            const duration = event.DURATION ? parseIcsDuration(event.DURATION.value) : null;
+            const end = event.DTEND
+                ? parseIcsTime(event.DTEND, timeZone)
+                : (start !== null && duration !== null ? start + duration : null);
+            sessions.push({ start, end, timeZone: sessionZone });
+            event = null;
+        } else if (event) {
+            event[property.name] = property;
+        }
+    });
+    return { ...defaultScheduleSettings, timeZone, sessions };
+}
+
+// Returns a list of problems with a parsed schedule (empty if it's fine)
+function validateSchedule(schedule) {
+    const issues = [];
+    const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+    if (!isValidTimeZone(schedule.timeZone)) {
+        issues.push({ field: 'timeZone', message: `"${schedule.timeZone}" is not a known time zone` });
+    }
+    ['extendedMinutes', 'graceMinutes'].forEach(field => {
+        if (!isPositive(schedule[field])) {
+            issues.push({ field, message: 'must be a positive number of minutes' });
+        }
+    });
+    if (schedule.sessions.length === 0) {
+        issues.push({ field: 'sessions', message: 'has no sessions' });
+    }
+    schedule.sessions.forEach((session, i) => {
+        const field = `sessions[${i}]`;
+        if (!isValidTimeZone(session.timeZone)) {
+            // A zone taken from the schedule is already reported above
+            if (session.timeZone !== schedule.timeZone) {
+                issues.push({ field: `${field}.timeZone`, message: `"${session.timeZone}" is not a known time zone` });
+            }
+        } else if (!Number.isFinite(session.start)) {
+            issues.push({ field: `${field}.start`, message: 'is not a date and time like 2026-01-28T19:30' });
+        } else if (!Number.isFinite(session.end)) {
+            issues.push({ field: `${field}.end`, message: 'is not a date and time like 2026-01-28T20:00' });
+        } else if (session.end <= session.start) {
+            issues.push({ field: `${field}.end`, message: 'is not after the start' });
+        }
+    });
+    return issues;
+}
+
+// "7:30 pm" in the session's own zone, so the kiosk shows venue time whatever it's set to
+function formatScheduleClock(epochMs, timeZone) {
+    return new Intl.DateTimeFormat('en-US', {
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true,
+        timeZone: timeZone === 'local' ? undefined : timeZone
+    }).format(new Date(epochMs)).replace(/\s*(AM|PM)$/, (match, period) => ` ${period.toLowerCase()}`);
+}
+
+// "1hr", "30min" or "1hr 30min"
+function formatScheduleDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return [hours > 0 ? `${hours}hr` : null, rest > 0 ? `${rest}min` : null].filter(Boolean).join(' ');
+}
+
+// Sorted sessions with everything the countdown shows:
+//   { start, end, timeZone, durationMinutes: 60, label: '8:00 pm - 9:00 pm', extended: true, note: '(1hr - Extended)' }
+function buildSchedule(schedule) {
+    const sessions = schedule.sessions.map(session => {
+        const durationMinutes = Math.round((session.end - session.start) / 60000);
+        const extended = durationMinutes >= schedule.extendedMinutes;
+        return {
+            ...session,
+            durationMinutes,
+            label: `${formatScheduleClock(session.start, session.timeZone)} - ${formatScheduleClock(session.end, session.timeZone)}`,
+            extended,
+            note: extended ? `(${formatScheduleDuration(durationMinutes)} - Extended)` : null
+        };
+    }).sort((a, b) => a.start - b.start);
+    return { ...schedule, sessions };
+}
+
+async function loadSchedule(name) {
+    // Names end up in a URL, so keep them to plain file names
+    if (!/^[\w-]+(\.json|\.ics)?$/.test(name)) {
+        throw new Error(`"${name}" is not a valid schedule name`);
+    }
+
+    const fileName = /\.(json|ics)$/.test(name) ? name : `${name}.json`;
+    const url = `${getScheduleConfig().scheduleBaseUrl}${fileName}`;
+    const response = await fetchPageFile(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load schedule ${url}`);
+    }
+
+    const schedule = fileName.endsWith('.ics')
+        ? { id: name, ...parseIcsSchedule(await response.text()) }
+        : parseJsonSchedule({ id: name, ...(await response.json()) });
+    const issues = validateSchedule(schedule);
+    if (issues.length > 0) {
+        throw new Error(`Schedule ${url}: ` + issues.map(issue => `${issue.field} ${issue.message}`).join('; '));
+    }
+    return buildSchedule(schedule);
+}
+
+// Load the selected schedule once, later calls share the same promise until it fails
+function ensureSchedule() {
+    if (!schedulePromise) {
+        schedulePromise = loadSchedule(getScheduleName()).catch(error => {
+            schedulePromise = null;
+            throw error;
+        });
+    }
+    return schedulePromise;
+}
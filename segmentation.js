@@ -0,0 +1,211 @@
+// Segmentation: the arc of a session, as phases and notable moments
+//
+// Whole-session averages say what a session was like, not how it went. The phases split a session
+// around its calmest stretch of activeness:
+//   settling  from the start until activeness settles into the calmest stretch
+//   deepest   the calmest stretch itself
+//   emerging  from the end of the calmest stretch to the end of the session
+// and the moments are stretches worth pointing out:
+//   meditation  the longest run of samples in the analysis profile's meditation range
+//   alphaSurge  the biggest rise of alpha's share above its usual level
+// Samples flagged by the quality check are left out, so artifacts aren't mistaken for moments.
+// Like quality issues, phases and moments are regions of sample indices [start, end).
+
+const segmentationSettings = {
+    smoothingSamples: 7,     // samples on each side of the rolling mean (30 seconds across)
+    calmTolerance: 0.25,     // how far above the calmest level, as a share of the range, still counts as calm
+    minRange: 0.05,          // activeness that never moves more than this has no arc
+    minPhaseSamples: 5,      // shorter phases are folded into the next one
+    minMeditationSamples: 5, // 10 seconds
+    minSurgeRise: 0.05       // rise in alpha's share over its median for a surge to count
+};
+
+// Chart each kind of annotation goes on, and its color
+const sessionMomentCharts = { meditation: 'activeness', alphaSurge: 'brainwave' };
+const sessionMomentColors = {
+    meditation: 'oklch(0.75 0.15 300)',
+    alphaSurge: `oklch(0.75 0.2 ${bandHues.alpha})`
+};
+
+// Mean of the unflagged values around each sample, null where there are none
+function getRollingMean(series, halfWindow, skip) {
+    return series.map((_, i) => {
+        const values = [];
+        for (let j = Math.max(0, i - halfWindow); j <= Math.min(series.length - 1, i + halfWindow); j++) {
+            if (!skip[j] && Number.isFinite(series[j])) values.push(series[j]);
+        }
+        return values.length > 0 ? calculateAverage(values) : null;
+    });
+}
+
+function findPhases(activeness, skip) {
+    const settings = segmentationSettings;
+    const length = activeness.length;
+    if (length < settings.minPhaseSamples * 3) return [];
+
+    const smoothed = getRollingMean(activeness, settings.smoothingSamples, skip);
+    const valid = smoothed.filter(value => value !== null);
+    if (valid.length === 0) return [];
+    const min = Math.min(...valid);
+    const max = Math.max(...valid);
+    if (max - min < settings.minRange) return [];
+
+    // Grow the calmest stretch out from the calmest sample
+    const threshold = min + settings.calmTolerance * (max - min);
+    const isCalm = i => smoothed[i] === null || smoothed[i] <= threshold;
+    const calmest = smoothed.indexOf(min);
+    let start = calmest;
+    let end = calmest + 1;
+    while (start > 0 && isCalm(start - 1)) start--;
+    while (end < length && isCalm(end)) end++;
+
+    // Too short a settling or emerging phase is part of the deepest one
+    if (start < settings.minPhaseSamples) start = 0;
+    if (length - end < settings.minPhaseSamples) end = length;
+
+    const phases = [
+        { type: 'settling', start: 0, end: start },
+        { type: 'deepest', start, end },
+        { type: 'emerging', start: end, end: length }
+    ].filter(phase => phase.end > phase.start);
+
+    phases.forEach(phase => {
+        const values = activeness.slice(phase.start, phase.end).filter((value, i) => !skip[phase.start + i]);
+        phase.activeness = calculateAverage(values);
+    });
+    return phases;
+}
+
+function findLongestMeditation(activeness, skip, profile) {
+    const flags = activeness.map((value, i) => !skip[i] && value < profile.activeness.clearFrom);
+    const longest = flagsToRegions(flags).reduce((best, region) =>
+        !best || region.end - region.start > best.end - best.start ? region : best, null);
+    if (!longest || longest.end - longest.start < segmentationSettings.minMeditationSamples) return null;
+    return { type: 'meditation', ...longest };
+}
+
+function findAlphaSurge(rawDataArrays, skip) {
+    const shares = rawDataArrays.alpha.map((alpha, i) => {
+        const total = BAND_NAMES.reduce((sum, band) => sum + rawDataArrays[band][i], 0);
+        return total > 0 ? alpha / total : null;
+    });
+    const smoothed = getRollingMean(shares, segmentationSettings.smoothingSamples, skip.map((bad, i) => bad || shares[i] === null));
+
+    const valid = smoothed.filter(value => value !== null).sort((a, b) => a - b);
+    if (valid.length === 0) return null;
+    const median = valid[Math.floor(valid.length / 2)];
+    const peakValue = valid[valid.length - 1];
+    const rise = peakValue - median;
+    if (rise < segmentationSettings.minSurgeRise) return null;
+
+    // The surge is the stretch around the peak that stays more than halfway up
+    const peak = smoothed.indexOf(peakValue);
+    const isRaised = i => smoothed[i] !== null && smoothed[i] >= median + rise / 2;
+    let start = peak;
+    let end = peak + 1;
+    while (start > 0 && isRaised(start - 1)) start--;
+    while (end < smoothed.length && isRaised(end)) end++;
+    return { type: 'alphaSurge', start, end, peak, rise };
+}
+
+// Phases and moments of a prepared session
+function analyzeSessionArc(result, profile = getAnalysisProfile()) {
+    const badSamples = result.quality ? result.quality.badSamples : [];
+    const skip = Array.from({ length: Math.max(result.numDataPoints, result.activenessArray.length) }, (_, i) => Boolean(badSamples[i]));
+
+    const moments = [
+        result.activenessArray.length > 0 ? findLongestMeditation(result.activenessArray, skip, profile) : null,
+        result.numDataPoints > 0 ? findAlphaSurge(result.rawDataArrays, skip) : null
+    ].filter(Boolean);
+
+    return {
+        phases: result.activenessArray.length > 0 ? findPhases(result.activenessArray, skip) : [],
+        moments
+    };
+}
+
+// Phase boundaries and moment bars, from options.plugins.sessionArc = { phases, moments }
+const sessionArcPlugin = {
+    id: 'sessionArc',
+    afterDatasetsDraw(chart, args, options) {
+        const phases = (options && options.phases) || [];
+        const moments = (options && options.moments) || [];
+        if ((phases.length === 0 && moments.length === 0) || !chart.timeline) return;
+
+        const { top, bottom, left, right } = chart.chartArea;
+        const x = position => Math.min(right, Math.max(left, chart.scales.x.getPixelForValue(getTimelineSeconds(chart.timeline, position))));
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.font = '10px cmu, Inter, sans-serif';
+        ctx.textBaseline = 'top';
+
+        phases.forEach((phase, i) => {
+            const start = x(phase.start);
+            if (i > 0) {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath();
+                ctx.moveTo(start, top);
+                ctx.lineTo(start, bottom);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+            ctx.fillText(t(`arc.phase.${phase.type}`), start + 4, top + 2);
+        });
+
+        moments.forEach(moment => {
+            const start = x(moment.start);
+            const end = Math.max(start + 2, x(moment.end - 1));
+            ctx.fillStyle = sessionMomentColors[moment.type];
+            ctx.fillRect(start, bottom - 3, end - start, 3);
+            ctx.fillText(t(`arc.moment.${moment.type}`), start, bottom - 16);
+        });
+        ctx.restore();
+    }
+};
+
+function annotateSessionArc(arc) {
+    const charts = { brainwave: brainwaveChart, activeness: activenessChart };
+    Object.entries(charts).forEach(([name, chart]) => {
+        if (!chart) return;
+        chart.options.plugins.sessionArc = {
+            phases: name === 'activeness' ? arc.phases : [],
+            moments: arc.moments.filter(moment => sessionMomentCharts[moment.type] === name)
+        };
+        chart.update('none');
+    });
+}
+
+// A sentence or two under the fortune about how the session went
+function describeSessionArc(arc, timeline) {
+    const showMinutes = timeline.durationMs >= 60000;
+    const at = position => formatElapsed(Math.round(getTimelineSeconds(timeline, position)), showMinutes);
+    // From the first sample of a region to the end of its last one
+    const lasting = region => {
+        const seconds = getTimelineSeconds(timeline, region.end - 1) - getTimelineSeconds(timeline, region.start);
+        return formatElapsed(Math.round(seconds + SAMPLE_INTERVAL_MS / 1000), showMinutes);
+    };
+
+    const sentences = [];
+    const deepest = arc.phases.find(phase => phase.type === 'deepest');
+    if (deepest && deepest.start > 0) {
+        sentences.push(t('arc.deepest', { time: at(deepest.start), duration: lasting(deepest) }));
+    }
+    arc.moments.forEach(moment => {
+        if (moment.type === 'meditation') {
+            sentences.push(t('arc.meditation', { duration: lasting(moment) }));
+        } else if (moment.type === 'alphaSurge') {
+            sentences.push(t('arc.alphaSurge', { time: at(moment.peak) }));
+        }
+    });
+    return sentences.join(' ');
+}
+
+function showSessionArc(arc, timeline) {
+    const element = document.getElementById('fortuneArc');
+    if (!element) return;
+    const text = arc ? describeSessionArc(arc, timeline) : '';
+    element.textContent = text;
+    element.style.display = text ? 'block' : 'none';
+}
@@ -0,0 +1,208 @@
+// Parsing and validation of raw brainwave payloads into session objects
+//
+// A parsed session looks like:
+//   {
+//     run: 12,                      // or null if the payload doesn't say
+//     startTimestamp: 1769650200000, // milliseconds, or null
+//     sampleTimes: [...],           // milliseconds of each sample, or null if the payload has none
+//     numDataPoints: 450,
+//     bands: { delta: [...], theta: [...], alpha: [...], beta: [...], gamma: [...] },
+//     activeness: [...],            // empty if the payload has none
+//     ml: { focus: [...], clear: [...], meditation: [...], dream: [...] }, // empty arrays if missing
+//     warnings: [{ field, message, key, params }] // key and params are the message for visitors, see t()
+//   }
+
+const BAND_NAMES = ['delta', 'theta', 'alpha', 'beta', 'gamma'];
+const ML_STATES = ['focus', 'clear', 'meditation', 'dream'];
+
+// Same hues as the .red-bg ... .blue-bg classes and the brainwave chart
+const bandHues = { delta: 30, theta: 60, alpha: 100, beta: 200, gamma: 250 };
+
+const bandLabels = { delta: 'Delta', theta: 'Theta', alpha: 'Alpha', beta: 'Beta', gamma: 'Gamma' };
+
+// Samples from the headbands are sent every 2 seconds
+const SAMPLE_INTERVAL_MS = 2000;
+
+class SessionValidationError extends Error {
+    constructor(issues) {
+        super('Invalid brainwave data: ' + issues.map(issue => `${issue.field}: ${issue.message}`).join('; '));
+        this.name = 'SessionValidationError';
+        this.issues = issues;
+    }
+}
+
+// A well-formed payload without a single sample, e.g. a run that was started but never recorded
+class EmptySessionError extends SessionValidationError {
+    constructor() {
+        super([{ field: 'bands', message: 'have no samples' }]);
+        this.name = 'EmptySessionError';
+    }
+}
+
+// Scalars are treated as a single-sample series, like the API does for averaged runs
+function toSeries(value) {
+    if (value === undefined || value === null) return null;
+    return Array.isArray(value) ? value : [value];
+}
+
+// Returns a list of problems with a numeric series (empty if it's fine)
+function checkSeries(field, series, { min = -Infinity, max = Infinity } = {}) {
+    const issues = [];
+    let nonNumeric = 0;
+    let outOfRange = 0;
+
+    series.forEach(value => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            nonNumeric++;
+        } else if (value < min || value > max) {
+            outOfRange++;
+        }
+    });
+
+    if (series.length === 0) {
+        issues.push({ field, message: 'is empty' });
+    }
+    if (nonNumeric > 0) {
+        issues.push({ field, message: `has ${nonNumeric} NaN or non-numeric value${nonNumeric === 1 ? '' : 's'}` });
+    }
+    if (outOfRange > 0) {
+        issues.push({ field, message: `has ${outOfRange} value${outOfRange === 1 ? '' : 's'} outside [${min}, ${max}]` });
+    }
+    return issues;
+}
+
+function parseSessionPayload(data) {
+    const errors = [];
+    const warnings = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new SessionValidationError([{ field: 'payload', message: 'is not a JSON object' }]);
+    }
+
+    // Brainwave bands, preferring the smoothed versions when the backend sends them
+    const bands = {};
+    BAND_NAMES.forEach(band => {
+        const field = data[`${band}_smoothed`] !== undefined ? `${band}_smoothed` : band;
+        const series = toSeries(data[field]);
+        if (!series) {
+            errors.push({ field: band, message: 'is missing' });
+            return;
+        }
+        errors.push(...checkSeries(field, series, { min: 0 }));
+
+        // Zeros are dropouts rather than malformed data, but they can't be log-scaled
+        const zeros = series.filter(value => value === 0).length;
+        if (zeros > 0) {
+            warnings.push({
+                field,
+                message: `has ${zeros} zero value${zeros === 1 ? '' : 's'} (dropouts)`,
+                key: 'diagnostics.dropouts',
+                params: { band, count: zeros }
+            });
+        }
+        bands[band] = series;
+    });
+
+    const presentBands = Object.keys(bands);
+    const lengths = presentBands.map(band => bands[band].length);
+    if (presentBands.length > 0 && lengths.some(length => length !== lengths[0])) {
+        errors.push({
+            field: 'bands',
+            message: 'have mismatched lengths (' + presentBands.map(band => `${band}: ${bands[band].length}`).join(', ') + ')'
+        });
+    }
+    const numDataPoints = lengths.length > 0 ? Math.min(...lengths) : 0;
+
+    // Every band there but without a sample is a session that never recorded, not a malformed one
+    if (presentBands.length === BAND_NAMES.length && lengths.every(length => length === 0)) {
+        throw new EmptySessionError();
+    }
+
+    // Activeness is optional, but its absence changes which fortunes are possible
+    const activeness = toSeries(data.activeness);
+    if (!activeness) {
+        warnings.push({
+            field: 'activeness',
+            message: 'is missing, so the fortune can only be a generic one',
+            key: 'diagnostics.noActiveness'
+        });
+    } else {
+        errors.push(...checkSeries('activeness', activeness, { min: 0, max: 1 }));
+        if (activeness.length !== numDataPoints) {
+            warnings.push({
+                field: 'activeness',
+                message: `has ${activeness.length} values but the bands have ${numDataPoints}`,
+                key: 'diagnostics.activenessLength',
+                params: { count: activeness.length, expected: numDataPoints }
+            });
+        }
+    }
+
+    // ML analysis is optional, missing states become empty series
+    const ml = {};
+    ML_STATES.forEach(state => {
+        const series = toSeries(data[state]);
+        if (!series) {
+            ml[state] = [];
+            return;
+        }
+        errors.push(...checkSeries(state, series));
+        ml[state] = series;
+    });
+
+    // Per-sample timestamps are optional, without them samples are assumed SAMPLE_INTERVAL_MS apart
+    let sampleTimes = null;
+    if (data.timestamps !== undefined && data.timestamps !== null) {
+        const times = toSeries(data.timestamps).map(value => new Date(value).getTime());
+        const invalid = times.filter(time => Number.isNaN(time)).length;
+        if (invalid > 0) {
+            errors.push({ field: 'timestamps', message: `has ${invalid} invalid date${invalid === 1 ? '' : 's'}` });
+        } else if (times.length !== numDataPoints) {
+            errors.push({ field: 'timestamps', message: `has ${times.length} values but the bands have ${numDataPoints}` });
+        } else if (times.some((time, i) => i > 0 && time <= times[i - 1])) {
+            errors.push({ field: 'timestamps', message: 'are not in increasing order' });
+        } else {
+            sampleTimes = times;
+        }
+    }
+
+    // Start timestamp is optional, but if present it must parse
+    let startTimestamp = null;
+    if (data.start_timestamp === undefined || data.start_timestamp === null) {
+        if (sampleTimes && sampleTimes.length > 0) {
+            startTimestamp = sampleTimes[0];
+        } else {
+            warnings.push({ field: 'start_timestamp', message: 'is missing', key: 'diagnostics.noStartTime' });
+        }
+    } else {
+        startTimestamp = new Date(data.start_timestamp).getTime();
+        if (Number.isNaN(startTimestamp)) {
+            errors.push({ field: 'start_timestamp', message: `"${data.start_timestamp}" is not a valid date` });
+            startTimestamp = null;
+        }
+    }
+
+    let run = null;
+    if (data.run !== undefined && data.run !== null) {
+        run = Number(data.run);
+        if (!Number.isInteger(run)) {
+            errors.push({ field: 'run', message: `"${data.run}" is not an integer` });
+            run = null;
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new SessionValidationError(errors);
+    }
+
+    return {
+        run,
+        startTimestamp,
+        sampleTimes,
+        numDataPoints,
+        bands,
+        activeness: activeness || [],
+        ml,
+        warnings
+    };
+}
@@ -0,0 +1,307 @@
+// Sonification of the displayed session: a layered soundscape that follows the playback timeline
+//
+// Each band is a binaural-style pair of tones, a carrier on the left and the carrier plus the band's
+// own frequency on the right, whose volume follows that band's share of the power over time.
+// Under them an ocean swell of filtered noise follows activeness: an active mind makes brighter,
+// choppier water, a calm one a slow, dark swell.
+//
+// The same graph is built on an AudioContext for listening and on an OfflineAudioContext for the
+// WAV export, so a session can be rendered and archived without an audio device. The export is
+// rendered at the default playback speed, or faster for long sessions, so it's never longer than
+// exportMaxSeconds: a 30-minute session at 1x would need close to a gigabyte and crash a phone.
+// It stays stereo, since the beats only exist between the two ears.
+
+const soundscapeBands = {
+    delta: { carrierHz: 110, beatHz: 2 },
+    theta: { carrierHz: 165, beatHz: 6 },
+    alpha: { carrierHz: 220, beatHz: 10 },
+    beta: { carrierHz: 330, beatHz: 20 },
+    gamma: { carrierHz: 440, beatHz: 40 }
+};
+
+const soundscapeSettings = {
+    toneLevel: 0.12,         // volume of a band holding all of the power
+    oceanLevel: 0.08,        // noise volume when calm, up to twice this when active
+    calmCutoffHz: 350,       // ocean lowpass cutoff at zero activeness
+    activeCutoffHz: 2400,    // ocean lowpass cutoff at full activeness
+    calmSwellHz: 0.08,       // swell rate at zero activeness
+    activeSwellHz: 0.3,      // swell rate at full activeness
+    fadeSeconds: 0.5,
+    exportSampleRate: 22050, // plenty for tones under 500 Hz and the ocean's lowpassed noise
+    exportMaxSeconds: 300
+};
+
+let soundscapeContext = null;
+let soundscape = null;
+let soundEnabled = false;
+let soundExportPending = false;
+
+function isSoundSupported() {
+    return typeof window.AudioContext === 'function' && typeof window.OfflineAudioContext === 'function';
+}
+
+// Small seeded generator so the ocean noise is the same for every render of a session
+function createSeededRandom(seed) {
+    let state = Math.floor(hashToUnit(seed, 'noise') * 4294967296);
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let value = Math.imul(state ^ (state >>> 15), 1 | state);
+        value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createNoiseBuffer(context, seed) {
+    const buffer = context.createBuffer(1, context.sampleRate * 2, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    const random = createSeededRandom(seed);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = random() * 2 - 1;
+    }
+    return buffer;
+}
+
+// Activeness per sample, stretched to the brainwave samples and 0.5 (neutral) when there is none
+function getSoundscapeActiveness(result) {
+    const activeness = result.activenessArray;
+    return Array.from({ length: result.numDataPoints }, (_, i) => {
+        if (activeness.length === 0) return 0.5;
+        const value = activeness[Math.min(i, activeness.length - 1)];
+        return Math.max(0, Math.min(1, value));
+    });
+}
+
+// Ramp a parameter through a per-sample series, starting part-way through at a fractional position
+function scheduleSeries(param, series, { startTime, startPosition, secondsPerSample, map }) {
+    const first = Math.floor(startPosition);
+    const next = Math.min(first + 1, series.length - 1);
+    const fraction = startPosition - first;
+    param.setValueAtTime(map(series[first] + (series[next] - series[first]) * fraction), startTime);
+
+    for (let i = first + 1; i < series.length; i++) {
+        param.linearRampToValueAtTime(map(series[i]), startTime + (i - startPosition) * secondsPerSample);
+    }
+}
+
+// Build the soundscape on any audio context, from startPosition (in samples) at a playback speed
+function buildSoundscape(context, result, { startPosition = 0, speed = 1, startTime = context.currentTime } = {}) {
+    const settings = soundscapeSettings;
+    const secondsPerSample = SAMPLE_INTERVAL_MS / 1000 / speed;
+    const duration = Math.max(0, (result.numDataPoints - 1 - startPosition) * secondsPerSample);
+    const endTime = startTime + duration;
+    const timing = { startTime, startPosition, secondsPerSample };
+    const fade = Math.min(settings.fadeSeconds, duration / 2);
+
+    const master = context.createGain();
+    master.gain.setValueAtTime(0, startTime);
+    master.gain.linearRampToValueAtTime(1, startTime + fade);
+    master.gain.setValueAtTime(1, endTime - fade);
+    master.gain.linearRampToValueAtTime(0, endTime);
+    master.connect(context.destination);
+
+    const sources = [];
+    const amplitudes = getBandAmplitudes(result.rawDataArrays);
+
+    BAND_NAMES.forEach(band => {
+        const { carrierHz, beatHz } = soundscapeBands[band];
+        const merger = context.createChannelMerger(2);
+        [carrierHz, carrierHz + beatHz].forEach((frequency, channel) => {
+            const oscillator = context.createOscillator();
+            oscillator.frequency.value = frequency;
+            oscillator.connect(merger, 0, channel);
+            sources.push(oscillator);
+        });
+
+        const level = context.createGain();
+        scheduleSeries(level.gain, amplitudes[band], { ...timing, map: value => value * settings.toneLevel });
+        merger.connect(level);
+        level.connect(master);
+    });
+
+    const activeness = getSoundscapeActiveness(result);
+
+    const noise = context.createBufferSource();
+    noise.buffer = createNoiseBuffer(context, getSignalSeed(result.timestamp, result.rawDataArrays));
+    noise.loop = true;
+    sources.push(noise);
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    scheduleSeries(filter.frequency, activeness, {
+        ...timing,
+        map: value => settings.calmCutoffHz + (settings.activeCutoffHz - settings.calmCutoffHz) * value
+    });
+
+    // The swell is a slow oscillator added on top of a steady level
+    const swell = context.createGain();
+    swell.gain.value = 0.6;
+    const swellOscillator = context.createOscillator();
+    scheduleSeries(swellOscillator.frequency, activeness, {
+        ...timing,
+        map: value => settings.calmSwellHz + (settings.activeSwellHz - settings.calmSwellHz) * value
+    });
+    const swellDepth = context.createGain();
+    swellDepth.gain.value = 0.4;
+    swellOscillator.connect(swellDepth);
+    swellDepth.connect(swell.gain);
+    sources.push(swellOscillator);
+
+    const water = context.createGain();
+    scheduleSeries(water.gain, activeness, { ...timing, map: value => settings.oceanLevel * (1 + value) });
+
+    noise.connect(filter);
+    filter.connect(swell);
+    swell.connect(water);
+    water.connect(master);
+
+    sources.forEach(source => {
+        source.start(startTime);
+        source.stop(endTime);
+    });
+
+    return {
+        duration,
+        // Fade out quickly and stop, for pausing or seeking while playing
+        stop() {
+            const now = context.currentTime;
+            master.gain.cancelScheduledValues(now);
+            master.gain.setValueAtTime(master.gain.value, now);
+            master.gain.linearRampToValueAtTime(0, now + 0.05);
+            sources.forEach(source => source.stop(now + 0.06));
+        }
+    };
+}
+
+// 16-bit PCM WAV file from an AudioBuffer
+function encodeWav(audioBuffer) {
+    const numChannels = audioBuffer.numberOfChannels;
+    const numFrames = audioBuffer.length;
+    const dataSize = numFrames * numChannels * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * numChannels * 2, true);
+    view.setUint16(32, numChannels * 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channels = Array.from({ length: numChannels }, (_, c) => audioBuffer.getChannelData(c));
+    let offset = 44;
+    for (let i = 0; i < numFrames; i++) {
+        channels.forEach(channel => {
+            const sample = Math.max(-1, Math.min(1, channel[i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += 2;
+        });
+    }
+    return view.buffer;
+}
+
+// Render the whole session offline, no audio device needed
+async function renderSoundscapeWav(result) {
+    const sessionSeconds = (result.numDataPoints - 1) * SAMPLE_INTERVAL_MS / 1000;
+    const speed = Math.max(DEFAULT_PLAYBACK_SPEED, sessionSeconds / soundscapeSettings.exportMaxSeconds);
+    const length = Math.max(1, Math.ceil(sessionSeconds / speed * soundscapeSettings.exportSampleRate));
+    const context = new OfflineAudioContext(2, length, soundscapeSettings.exportSampleRate);
+
+    buildSoundscape(context, result, { speed, startTime: 0 });
+    return encodeWav(await context.startRendering());
+}
+
+// Note next to the WAV link while it renders or when it failed, a message key or null to clear it
+function showSoundExportStatus(key) {
+    const status = document.getElementById('soundExportStatus');
+    if (status) status.textContent = key ? ` ${t(key)}` : '';
+}
+
+async function exportSoundscape() {
+    if (!currentSessionResult || currentSessionResult.numDataPoints < 2 || soundExportPending) return;
+
+    soundExportPending = true;
+    showSoundExportStatus('export.rendering');
+    try {
+        const wav = await renderSoundscapeWav(currentSessionResult);
+        downloadFile(getExportFileName(currentSessionResult, 'wav'), wav, 'audio/wav');
+        showSoundExportStatus(null);
+    } finally {
+        soundExportPending = false;
+    }
+}
+
+function stopSoundscape() {
+    if (soundscape) {
+        soundscape.stop();
+        soundscape = null;
+    }
+}
+
+// Start (or restart) the soundscape at the playback position
+function startSoundscape() {
+    stopSoundscape();
+    if (!soundEnabled || !playback.playing || !playback.result) return;
+
+    if (!soundscapeContext) {
+        soundscapeContext = new AudioContext();
+    }
+    soundscapeContext.resume();
+    soundscape = buildSoundscape(soundscapeContext, playback.result, {
+        startPosition: playback.position || 0,
+        speed: playback.speed
+    });
+}
+
+function updateSoundToggle() {
+    const toggle = document.getElementById('soundToggle');
+    if (toggle) {
+        toggle.textContent = soundEnabled ? t('sound.off') : t('sound.on');
+        toggle.setAttribute('aria-pressed', soundEnabled);
+    }
+}
+
+function toggleSound() {
+    soundEnabled = !soundEnabled;
+    updateSoundToggle();
+    if (soundEnabled) {
+        // Turning the sound on also starts playback, which starts the soundscape
+        if (playback.playing) {
+            startSoundscape();
+        } else {
+            playPlayback();
+        }
+    } else {
+        stopSoundscape();
+    }
+}
+
+onPlaybackChange((event) => {
+    if (event === 'play' || ((event === 'seek' || event === 'speed') && playback.playing)) {
+        startSoundscape();
+    } else if (event === 'pause' || event === 'reset') {
+        stopSoundscape();
+    }
+});
+
+window.addEventListener('load', () => {
+    const toggle = document.getElementById('soundToggle');
+    if (!isSoundSupported()) {
+        if (toggle) toggle.style.display = 'none';
+        const soundExport = document.getElementById('soundExport');
+        if (soundExport) soundExport.style.display = 'none';
+        return;
+    }
+
+    if (toggle) {
+        toggle.addEventListener('click', toggleSound);
+    }
+});
@@ -0,0 +1,112 @@
+// Service worker: keeps the results page working without a connection
+//
+// Everything the page needs to start is precached on install, including Chart.js, three.js and the
+// caustics shaders from the CDN and the water-caustics submodule. After that:
+//   pages        network first, falling back to the cached page for any ?id=
+//   other GETs   served from the cache when there, and refreshed from the network in the background
+// Session payloads are POSTs, which the Cache API can't hold, so offline.js keeps those in IndexedDB.
+// Bump CACHE_VERSION when the precache list changes so old caches are cleared on activate.
+
+const CACHE_VERSION = 3;
+const CACHE_NAME = `eighth-dimension-v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './history.html',
+    './styles.css',
+    './datasource.js',
+    './tokens.js',
+    './session.js',
+    './timeline.js',
+    './quality.js',
+    './analysis.js',
+    './baseline.js',
+    './segmentation.js',
+    './narrative.js',
+    './ml.js',
+    './i18n.js',
+    './fortunes.js',
+    './synthesis.js',
+    './ocean.js',
+    './recording.js',
+    './export.js',
+    './card.js',
+    './compare.js',
+    './live.js',
+    './playback.js',
+    './sonification.js',
+    './errors.js',
+    './offline.js',
+    './history.js',
+    './brainwave.js',
+    './fortunes/en.json',
+    './fortunes/es.json',
+    './locales/es.json',
+    './profiles/default.json',
+    './fixtures/sample.json',
+    './water-caustics/vertex.glsl',
+    './water-caustics/fragment.glsl',
+    './water-caustics/cmunss.ttf',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    // One missing file (say, the submodule isn't checked out) shouldn't stop everything else from being cached
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => Promise.all(PRECACHE_URLS.map(url =>
+        cache.add(url).catch(error => console.warn(`Could not precache ${url}:`, error))
+    ))).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys().then(names => Promise.all(
+        names.filter(name => name.startsWith('eighth-dimension-') && name !== CACHE_NAME).map(name => caches.delete(name))
+    )).then(() => self.clients.claim()));
+});
+
+// Only complete, readable responses are worth keeping
+function isCacheable(response) {
+    return response && response.ok && (response.type === 'basic' || response.type === 'cors');
+}
+
+async function fetchAndCache(request) {
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Pages: the freshest copy when online, otherwise the cached page (the ?id= is read by the page itself)
+async function handleNavigation(request) {
+    try {
+        return await fetchAndCache(request);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true }) || await caches.match('./index.html');
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Everything else: the cached copy straight away, refreshed in the background for next time
+async function handleAsset(event) {
+    const cached = await caches.match(event.request);
+    const refresh = fetchAndCache(event.request);
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET') return;
+
+    if (event.request.mode === 'navigate') {
+        event.respondWith(handleNavigation(event.request));
+    } else {
+        event.respondWith(handleAsset(event));
+    }
+});
@@ -0,0 +1,225 @@
+// Synthesized brain signal for the wave glyphs, built from the session's real band powers
+//
+// Each band is a handful of sine components spread across its frequency range. Frequencies and
+// phases come from a seed derived from the session, so the same session always draws the same
+// signal. Each band's amplitude at a point in the session is the square root of its share of the
+// total power at that sample, so the composite has the same spectral balance as the recording.
+//
+// The animation scrolls through the session's timeline: the band amplitudes follow the recording
+// at `timelineSpeed` samples per second, while the waveform itself is drawn in slow motion.
+
+const bandFrequencyRanges = {
+    delta: { minHz: 0.5, maxHz: 4 },
+    theta: { minHz: 4, maxHz: 8 },
+    alpha: { minHz: 8, maxHz: 12 },
+    beta: { minHz: 12, maxHz: 30 },
+    gamma: { minHz: 30, maxHz: 100 }
+};
+
+const SIGNAL_COMPONENTS_PER_BAND = 6;
+
+const signalSettings = {
+    timelineSpeed: 2,         // session samples per second of animation (4x real time)
+    slowMotion: 0.1,          // seconds of signal per second of animation
+    glyphWindowSeconds: 0.25, // span of signal shown in each band's glyph
+    compositeWindowSeconds: 2 // span of signal shown in the composite
+};
+
+let signalAnimation = null;
+let signalModel = null;
+
+// Sample position set by playback, or null to loop through the session on its own
+let signalPinnedPosition = null;
+
+// Identify a session by its start time and first sample, which don't change as a live session grows
+function getSignalSeed(timestamp, rawDataArrays) {
+    const firstSample = BAND_NAMES.map(band => rawDataArrays[band].length > 0 ? rawDataArrays[band][0] : '');
+    return [timestamp || '', ...firstSample].join(':');
+}
+
+// Sine components for one band: log-spaced frequencies with a seeded jitter, a gentle 1/f falloff,
+// and weights scaled so the band's signal has an RMS of 1
+function createBandComponents(band, seed) {
+    const { minHz, maxHz } = bandFrequencyRanges[band];
+    const logMin = Math.log(minHz);
+    const slot = (Math.log(maxHz) - logMin) / SIGNAL_COMPONENTS_PER_BAND;
+
+    const components = Array.from({ length: SIGNAL_COMPONENTS_PER_BAND }, (_, i) => {
+        const hz = Math.exp(logMin + slot * (i + hashToUnit(seed, band, i, 'hz')));
+        return {
+            hz,
+            weight: 1 / Math.sqrt(hz),
+            phase: hashToUnit(seed, band, i, 'phase') * Math.PI * 2
+        };
+    });
+
+    const power = components.reduce((sum, component) => sum + component.weight * component.weight, 0);
+    const scale = Math.sqrt(2 / power);
+    components.forEach(component => { component.weight *= scale; });
+    return components;
+}
+
+// Amplitude of each band at each sample. Samples with missing bands reuse the previous sample.
+function getBandAmplitudes(rawDataArrays) {
+    const numDataPoints = rawDataArrays.alpha.length;
+    const amplitudes = Object.fromEntries(BAND_NAMES.map(band => [band, new Array(numDataPoints)]));
+
+    let previous = null;
+    for (let i = 0; i < numDataPoints; i++) {
+        const values = BAND_NAMES.map(band => rawDataArrays[band][i]);
+        const total = values.reduce((sum, value) => sum + value, 0);
+        const valid = values.every(value => Number.isFinite(value) && value > 0);
+
+        const current = valid ? values.map(value => Math.sqrt(value / total)) : previous;
+        BAND_NAMES.forEach((band, b) => {
+            amplitudes[band][i] = current ? current[b] : 0;
+        });
+        if (current) previous = current;
+    }
+    return amplitudes;
+}
+
+function createSignalModel(rawDataArrays, brainwaves, seed) {
+    return {
+        seed,
+        numDataPoints: rawDataArrays.alpha.length,
+        components: Object.fromEntries(BAND_NAMES.map(band => [band, createBandComponents(band, seed)])),
+        amplitudes: getBandAmplitudes(rawDataArrays),
+        averageAmplitudes: Object.fromEntries(BAND_NAMES.map(band => [band, Math.sqrt(brainwaves[band])]))
+    };
+}
+
+// Band amplitudes at a fractional sample position, or the session average when position is null
+function getSignalAmplitudesAt(model, position) {
+    if (position === null || model.numDataPoints === 0) {
+        return model.averageAmplitudes;
+    }
+
+    const clamped = Math.max(0, Math.min(model.numDataPoints - 1, position));
+    const index = Math.floor(clamped);
+    const next = Math.min(index + 1, model.numDataPoints - 1);
+    const fraction = clamped - index;
+
+    return Object.fromEntries(BAND_NAMES.map(band => {
+        const values = model.amplitudes[band];
+        return [band, values[index] + (values[next] - values[index]) * fraction];
+    }));
+}
+
+function sampleSignal(model, bands, amplitudes, time) {
+    let value = 0;
+    bands.forEach(band => {
+        let bandValue = 0;
+        model.components[band].forEach(component => {
+            bandValue += component.weight * Math.sin(2 * Math.PI * component.hz * time + component.phase);
+        });
+        value += amplitudes[band] * bandValue;
+    });
+    return value;
+}
+
+// SVG path of the signal over [endTime - windowSeconds, endTime], with `gain` in RMS units per half height
+function buildSignalPath(model, bands, amplitudes, { endTime, windowSeconds, gain, width, height, samplesPerPixel = 2 }) {
+    const centerY = height / 2;
+    const numSamples = Math.round(width * samplesPerPixel);
+    const points = [];
+
+    for (let i = 0; i <= numSamples; i++) {
+        const x = (i / numSamples) * width;
+        const time = endTime - windowSeconds + (i / numSamples) * windowSeconds;
+        const y = centerY - sampleSignal(model, bands, amplitudes, time) * gain * centerY;
+        points.push(`${x.toFixed(2)},${Math.max(1, Math.min(height - 1, y)).toFixed(2)}`);
+    }
+
+    return `M${points.join(' L')}`;
+}
+
+// One band on its own, scaled against the strongest band so the glyphs can be compared
+function renderBandSignalPath(model, band, { position = null, time = 0, width = 80, height = 60 } = {}) {
+    const amplitudes = getSignalAmplitudesAt(model, position);
+    const strongest = Math.max(...BAND_NAMES.map(name => amplitudes[name]));
+    const relative = { [band]: strongest > 0 ? amplitudes[band] / strongest : 0 };
+
+    return buildSignalPath(model, [band], relative, {
+        endTime: time,
+        windowSeconds: signalSettings.glyphWindowSeconds,
+        gain: 1 / 3,
+        width,
+        height
+    });
+}
+
+// All bands summed, the amplitudes already add up to an RMS of 1
+function renderCompositeSignalPath(model, { position = null, time = 0, width = 600, height = 60 } = {}) {
+    return buildSignalPath(model, BAND_NAMES, getSignalAmplitudesAt(model, position), {
+        endTime: time,
+        windowSeconds: signalSettings.compositeWindowSeconds,
+        gain: 1 / 3,
+        width,
+        height,
+        samplesPerPixel: 1
+    });
+}
+
+function drawSignalFrame(model, position, time) {
+    BAND_NAMES.forEach(band => {
+        const wavePath = document.querySelector(`#${band}Wave .wave-path`);
+        if (wavePath) {
+            wavePath.setAttribute('d', renderBandSignalPath(model, band, { position, time }));
+        }
+    });
+
+    const signalPath = document.querySelector('#signalWave .wave-path');
+    if (signalPath) {
+        signalPath.setAttribute('d', renderCompositeSignalPath(model, { position, time }));
+    }
+}
+
+function stopSessionSignal() {
+    if (signalAnimation) {
+        cancelAnimationFrame(signalAnimation.frame);
+        signalAnimation = null;
+    }
+}
+
+function prefersReducedMotion() {
+    return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Hold the glyph amplitudes at a sample position (null to go back to looping)
+function setSignalPosition(position) {
+    signalPinnedPosition = position;
+    if (!signalAnimation && signalModel) {
+        drawSignalFrame(signalModel, position, 0);
+    }
+}
+
+// Animate the glyphs through the session, looping at the end. With followLatest (live mode) the
+// amplitudes stay on the newest sample instead, and calling this again swaps in the grown model.
+function playSessionSignal(model, { followLatest = false } = {}) {
+    signalModel = model;
+    if (prefersReducedMotion()) {
+        stopSessionSignal();
+        drawSignalFrame(model, signalPinnedPosition, 0);
+        return;
+    }
+
+    if (signalAnimation) {
+        signalAnimation.model = model;
+        signalAnimation.followLatest = followLatest;
+        return;
+    }
+
+    signalAnimation = { model, followLatest, startTime: performance.now(), frame: null };
+    const step = (now) => {
+        const { model: current, followLatest: follow, startTime } = signalAnimation;
+        const elapsed = (now - startTime) / 1000;
+        let position = (elapsed * signalSettings.timelineSpeed) % Math.max(1, current.numDataPoints);
+        if (follow) position = current.numDataPoints - 1;
+        if (signalPinnedPosition !== null) position = signalPinnedPosition;
+
+        drawSignalFrame(current, position, elapsed * signalSettings.slowMotion);
+        signalAnimation.frame = requestAnimationFrame(step);
+    };
+    signalAnimation.frame = requestAnimationFrame(step);
+}
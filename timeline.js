@@ -0,0 +1,100 @@
+// Time axis of a session, from the per-sample timestamps when the payload has them
+//
+// Headbands send a sample every SAMPLE_INTERVAL_MS, but connections drop and recordings get
+// paused, so real sessions have gaps. A timeline holds each sample's offset from the first one:
+//   {
+//     offsets: [0, 2000, 4000, 31000, ...], // milliseconds from the first sample
+//     startTime: 1769650200000,             // wall-clock time of the first sample, or null
+//     durationMs: 612000
+//   }
+// The charts plot against these offsets on a linear scale and break their lines where samples are
+// more than GAP_FACTOR intervals apart. Everything indexed by sample (quality regions, playback
+// positions) goes through getTimelineSeconds to find its place on that axis.
+
+// A step this many sample intervals long or longer is drawn as a gap
+const GAP_FACTOR = 1.5;
+
+// Offsets of each sample. Samples without a timestamp of their own (or every sample, when the
+// payload has none) follow the previous one by SAMPLE_INTERVAL_MS.
+function getSampleOffsets(sampleTimes, numDataPoints) {
+    const first = sampleTimes && Number.isFinite(sampleTimes[0]) ? sampleTimes[0] : null;
+    const offsets = new Array(numDataPoints);
+    for (let i = 0; i < numDataPoints; i++) {
+        const time = first !== null ? sampleTimes[i] : null;
+        if (Number.isFinite(time)) {
+            offsets[i] = time - first;
+        } else {
+            offsets[i] = i === 0 ? 0 : offsets[i - 1] + SAMPLE_INTERVAL_MS;
+        }
+    }
+    return offsets;
+}
+
+function createTimeline(sampleTimes, startTimestamp, numDataPoints) {
+    const offsets = getSampleOffsets(sampleTimes, numDataPoints);
+    const firstTime = sampleTimes && Number.isFinite(sampleTimes[0]) ? sampleTimes[0] : startTimestamp;
+    return {
+        offsets,
+        startTime: Number.isFinite(firstTime) ? firstTime : null,
+        durationMs: numDataPoints > 0 ? offsets[numDataPoints - 1] : 0
+    };
+}
+
+// Seconds from the start at a fractional sample position, interpolating between samples
+function getTimelineSeconds(timeline, position) {
+    const offsets = timeline.offsets;
+    if (offsets.length === 0) return 0;
+
+    const clamped = Math.max(0, Math.min(offsets.length - 1, position));
+    const index = Math.floor(clamped);
+    const next = Math.min(index + 1, offsets.length - 1);
+    return (offsets[index] + (offsets[next] - offsets[index]) * (clamped - index)) / 1000;
+}
+
+// Offset of a sample, continuing at the usual spacing past the end (activeness can run longer)
+function getSampleOffset(timeline, index) {
+    const offsets = timeline.offsets;
+    if (index < offsets.length) return offsets[index];
+    const last = offsets.length > 0 ? offsets[offsets.length - 1] : -SAMPLE_INTERVAL_MS;
+    return last + (index - offsets.length + 1) * SAMPLE_INTERVAL_MS;
+}
+
+// Chart points for a series, with a null point in each gap so the line breaks there
+function toTimelinePoints(values, timeline) {
+    const points = [];
+    values.forEach((value, i) => {
+        const offset = getSampleOffset(timeline, i);
+        const previous = i > 0 ? getSampleOffset(timeline, i - 1) : offset;
+        if (offset - previous >= GAP_FACTOR * SAMPLE_INTERVAL_MS) {
+            points.push({ x: (previous + offset) / 2000, y: null });
+        }
+        points.push({ x: offset / 1000, y: value });
+    });
+    return points;
+}
+
+// Linear x scale covering the whole session, for Chart.js
+function createTimelineScale(timeline, options = {}) {
+    return {
+        type: 'linear',
+        min: 0,
+        max: Math.max(timeline.durationMs / 1000, SAMPLE_INTERVAL_MS / 1000),
+        ...options
+    };
+}
+
+function formatClockTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString(getIntlLocale(), {
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+}
+
+// A moment in the session like "3m 20s · 19:33:20", or only the elapsed time without a start time
+function formatTimelineMoment(timeline, seconds, elapsedText = null) {
+    const showMinutes = timeline.durationMs >= 60000;
+    const elapsed = elapsedText !== null ? elapsedText : formatElapsed(Math.round(seconds), showMinutes);
+    if (timeline.startTime === null) return elapsed;
+    return t('time.withClock', { elapsed, clock: formatClockTime(timeline.startTime + seconds * 1000) });
+}
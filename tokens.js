@@ -0,0 +1,135 @@
+// Encrypted session tokens for the ?id= param
+//
+// Tokens look like "e1.<keyId>.<iv>.<ciphertext>" (base64url parts). The headband and run are
+// encrypted with AES-GCM, so they can't be read or enumerated without the key, and any tampering
+// fails the GCM authentication check.
+//
+// Keys come from a pluggable key provider: an object with getKey(keyId) resolving to raw key bytes
+// (a Uint8Array or base64 string) or a CryptoKey, plus currentKeyId for new tokens. The default
+// provider reads window.brainwaveConfig.tokens:
+//
+//   window.brainwaveConfig = { tokens: { keyId: 'k1', keys: { k1: '<base64 32-byte key>' } } };
+//
+// Deployments can call setTokenKeyProvider with a provider that fetches keys from their backend.
+// Without a key, new ids fall back to the legacy obfuscated format so links keep working.
+
+const TOKEN_PREFIX = 'e1';
+
+// A token in the URL that can't be verified: wrong or unavailable key, or a damaged link
+class SessionTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionTokenError';
+    }
+}
+
+let tokenKeyProvider = null;
+const importedTokenKeys = {};
+
+function base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const padding = '='.repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(base64 + padding);
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function createConfigKeyProvider() {
+    const config = (window.brainwaveConfig && window.brainwaveConfig.tokens) || {};
+    return {
+        currentKeyId: config.keyId || null,
+        async getKey(keyId) {
+            return (config.keys && config.keys[keyId]) || null;
+        }
+    };
+}
+
+function setTokenKeyProvider(provider) {
+    tokenKeyProvider = provider;
+    // Keys may differ between providers, so forget anything already imported
+    Object.keys(importedTokenKeys).forEach(keyId => { delete importedTokenKeys[keyId]; });
+}
+
+function getTokenKeyProvider() {
+    if (!tokenKeyProvider) {
+        tokenKeyProvider = createConfigKeyProvider();
+    }
+    return tokenKeyProvider;
+}
+
+function isSessionToken(id) {
+    return typeof id === 'string' && id.startsWith(TOKEN_PREFIX + '.');
+}
+
+// Resolve a key id to an AES-GCM CryptoKey, or null if the provider doesn't have it
+async function getTokenCryptoKey(keyId) {
+    if (importedTokenKeys[keyId]) return importedTokenKeys[keyId];
+    if (!window.crypto || !window.crypto.subtle) return null;
+
+    const material = await getTokenKeyProvider().getKey(keyId);
+    if (!material) return null;
+
+    let key = material;
+    if (!(material instanceof CryptoKey)) {
+        const bytes = typeof material === 'string' ? base64UrlDecode(material) : material;
+        key = await crypto.subtle.importKey('raw', bytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    }
+
+    importedTokenKeys[keyId] = key;
+    return key;
+}
+
+async function encodeSessionToken(headband, run) {
+    const keyId = getTokenKeyProvider().currentKeyId;
+    const key = keyId ? await getTokenCryptoKey(keyId) : null;
+    if (!key) {
+        return encodeId(headband, run);
+    }
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const payload = new TextEncoder().encode(JSON.stringify({ h: headband, r: run }));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, payload));
+
+    return [TOKEN_PREFIX, keyId, base64UrlEncode(iv), base64UrlEncode(ciphertext)].join('.');
+}
+
+// Decrypt a token into { mode: 'data', headband, run }, or null if it can't be verified
+async function decodeSessionToken(token) {
+    try {
+        const [prefix, keyId, ivPart, ciphertextPart] = token.split('.');
+        if (prefix !== TOKEN_PREFIX || !keyId || !ivPart || !ciphertextPart) return null;
+
+        const key = await getTokenCryptoKey(keyId);
+        if (!key) {
+            console.error(`No key available for session token key id "${keyId}"`);
+            return null;
+        }
+
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64UrlDecode(ivPart) },
+            key,
+            base64UrlDecode(ciphertextPart)
+        );
+        const { h, r } = JSON.parse(new TextDecoder().decode(plaintext));
+        if (!Number.isInteger(h) || !Number.isInteger(r)) return null;
+
+        return { mode: 'data', headband: h, run: r };
+    } catch (e) {
+        // Wrong key or tampered token
+        console.error('Failed to verify session token:', e);
+        return null;
+    }
+}
+
+// Decode any id format: encrypted tokens, legacy obfuscated ids and fortune timestamps
+async function decodeAnyId(id) {
+    if (isSessionToken(id)) {
+        return await decodeSessionToken(id);
+    }
+    return decodeId(id);
+}